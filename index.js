@@ -6,17 +6,22 @@ require('dotenv').config();
 // Scripts to run
 require('./src/middlewares/passport.middleware');
 require('./src/services/orderStatus.service');
+require('./src/services/privacy.service');
 
 const passport = require('passport');
 
 / * * * * Utils * * * * /;
 const httpStatusText = require('./src/utils/httpStatusText');
+const { trustProxy } = require('./src/config/rateLimit');
 / * * * * End Utils * * * * /;
 
 const PORT = process.env.PORT || 5000;
+// Rate limits, sessions and audit entries key on the client IP.
+app.set('trust proxy', trustProxy);
 app.use(passport.initialize());
 / * * * * DB * * * /;
 const connectDB = require('./src/config/db');
+const searchService = require('./src/services/search.service');
 / * * * * End Db * * * * /;
 
 / * * * * Router imports * * * * /;
@@ -32,14 +37,22 @@ const galleryRouter = require('./src/routes/gallery.routes');
 const contactRouter = require('./src/routes/contact.routes');
 const orderRouter = require('./src/routes/order.routes');
 const paymentRouter = require('./src/routes/payment.routes');
+const returnRouter = require('./src/routes/return.routes');
+const couponRouter = require('./src/routes/coupon.routes');
+const adminRouter = require('./src/routes/admin.routes');
 
 / * * * * End Router imports * * * * /;
 
 // Connect to MongoDB
-connectDB();
+connectDB().then(() =>
+  // Products saved before search existed lack the fields it reads.
+  searchService.syncSearchFields({ nameTokens: { $exists: false } })
+);
 
 // Middlewares
 app.use(cors());
+// Stripe signs the exact bytes it sends, so the webhook must skip JSON parsing.
+app.use('/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -60,6 +73,9 @@ app.use('/api', galleryRouter);
 app.use('/contact', contactRouter);
 app.use('/orders', orderRouter);
 app.use('/payments', paymentRouter);
+app.use('/returns', returnRouter);
+app.use('/coupons', couponRouter);
+app.use('/admin/v1', adminRouter);
 
 / * * * Global MiddleWare * * * /;
 app.all('*', (req, res, next) => {
@@ -74,7 +90,7 @@ app.use((error, req, res, next) => {
     status: error.statueText || httpStatusText.ERROR,
     error: error.message,
     code: error.statusCode || 500,
-    data: null,
+    data: error.data || null,
   });
 });
 app.listen(PORT, () =>
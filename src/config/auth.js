@@ -0,0 +1,31 @@
+// Token lifetimes. Access tokens are short-lived JWTs; refresh tokens are
+// opaque, stored hashed on a Session and swapped for a new one on every use.
+module.exports = {
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+  // A social login ends with a redirect carrying a one-time code rather
+  // than tokens; the storefront has this long to trade it in.
+  loginCodeTtlSeconds: Number(process.env.LOGIN_CODE_TTL_SECONDS) || 60,
+  // Roles accepted by POST /auth/admin/login.
+  adminLoginRoles: ['OWNER', 'ADMIN'],
+  // Roles that may (and by store policy must) use two-factor login.
+  staffRoles: ['ADMIN', 'MANAGER', 'EDITOR', 'SUPPORT'],
+  twoFactor: {
+    issuer: process.env.TOTP_ISSUER || 'Furniro',
+    challengeTtl: '5m',
+    recoveryCodeCount: 10,
+  },
+  // Links in emails point at the storefront, which calls the API.
+  frontendUrl:
+    process.env.FRONTEND_URL ||
+    'https://furniture-ecommerce-frontend.vercel.app',
+  emailVerification: {
+    tokenTtlHours: Number(process.env.EMAIL_TOKEN_TTL_HOURS) || 24,
+    resendCooldownSeconds: Number(process.env.EMAIL_RESEND_COOLDOWN) || 60,
+  },
+  // In-process cache in front of the revocation lookups done by verifyToken.
+  revocationCache: {
+    max: Number(process.env.REVOCATION_CACHE_SIZE) || 5000,
+    ttlMs: Number(process.env.REVOCATION_CACHE_TTL_MS) || 30 * 1000,
+  },
+};
@@ -0,0 +1,25 @@
+const { frontendUrl } = require('./auth');
+
+// Social login providers. A provider without a client id is not offered.
+module.exports = {
+  // Where the browser is sent after an OAuth round trip.
+  redirects: {
+    success: process.env.OAUTH_SUCCESS_REDIRECT || `${frontendUrl}/auth/login`,
+    failure: process.env.OAUTH_FAILURE_REDIRECT || `${frontendUrl}/auth/login`,
+    link: process.env.OAUTH_LINK_REDIRECT || `${frontendUrl}/profile`,
+  },
+  providers: {
+    google: {
+      clientID: process.env.GOOGLE_CLIENT_ID,
+      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+      callbackURL: '/auth/google/redirect',
+      scope: ['profile', 'email'],
+    },
+    github: {
+      clientID: process.env.GITHUB_CLIENT_ID,
+      clientSecret: process.env.GITHUB_CLIENT_SECRET,
+      callbackURL: '/auth/github/redirect',
+      scope: ['user:email'],
+    },
+  },
+};
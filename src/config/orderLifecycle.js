@@ -0,0 +1,25 @@
+// Order state machine. Each status lists the statuses it may move to;
+// statuses with no outgoing transitions are final.
+const transitions = {
+  Pending: ['Processing', 'Cancelled'],
+  Processing: ['Shipped', 'Cancelled'],
+  Shipped: ['Delivered'],
+  Delivered: [],
+  Cancelled: [],
+};
+
+// The path the demo simulator walks orders along.
+const simulatorPath = {
+  Pending: 'Processing',
+  Processing: 'Shipped',
+  Shipped: 'Delivered',
+};
+
+module.exports = {
+  transitions,
+  simulatorPath,
+  simulator: {
+    enabled: process.env.ORDER_STATUS_SIMULATOR === 'true',
+    schedule: process.env.ORDER_STATUS_SIMULATOR_CRON || '*/2 * * * *',
+  },
+};
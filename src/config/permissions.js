@@ -0,0 +1,49 @@
+// Every permission the API checks. Routes ask for permissions, never roles,
+// so what each staff role may do can be changed without touching code.
+const PERMISSIONS = [
+  'dashboard:read',
+  'product:write',
+  'category:write',
+  'inventory:manage',
+  'order:read',
+  'order:update',
+  'order:refund',
+  'return:manage',
+  'coupon:manage',
+  'user:read',
+  'user:manage',
+  'store:config',
+  'role:manage',
+  'audit:read',
+  'staff:invite',
+];
+
+// Used until an admin saves a different assignment for a role.
+const DEFAULT_ROLE_PERMISSIONS = {
+  ADMIN: [...PERMISSIONS],
+  MANAGER: [
+    'dashboard:read',
+    'product:write',
+    'category:write',
+    'inventory:manage',
+    'order:read',
+    'order:update',
+    'order:refund',
+    'return:manage',
+    'coupon:manage',
+    'user:read',
+    'user:manage',
+    'store:config',
+  ],
+  EDITOR: ['product:write', 'category:write'],
+  SUPPORT: ['order:read', 'order:update', 'return:manage', 'user:read'],
+  USER: [],
+};
+
+const ROLES = Object.keys(DEFAULT_ROLE_PERMISSIONS);
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+};
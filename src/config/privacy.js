@@ -0,0 +1,11 @@
+// Account erasure. A request waits out the grace period (the user can still
+// cancel it) before the scheduled job anonymises the account.
+module.exports = {
+  erasure: {
+    gracePeriodDays: Number(process.env.ACCOUNT_ERASURE_GRACE_DAYS) || 30,
+    schedule: process.env.ACCOUNT_ERASURE_CRON || '0 3 * * *',
+    enabled: process.env.ACCOUNT_ERASURE_JOB !== 'false',
+  },
+  // Stands in for personal data on records that have to be kept.
+  placeholder: '[erased]',
+};
@@ -0,0 +1,50 @@
+// Where hit counters live: 'memory' (per process) or 'mongo' (shared by
+// every instance behind a load balancer).
+const store = process.env.RATE_LIMIT_STORE || 'memory';
+
+const MINUTE_MS = 60 * 1000;
+
+// Express `trust proxy` setting. Behind a proxy (Vercel, a load balancer)
+// req.ip would otherwise be the proxy's address and every client would
+// share one counter. A number is the count of proxies in front of the app;
+// 'true', 'false' or a list of addresses/subnets are passed on as well.
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '') return 1;
+  if (/^\d+$/.test(value)) return Number(value);
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+};
+
+// Named limits used by the auth routes. `by` picks the counter key: the
+// client IP or the account (email) the request is about.
+const limits = {
+  login: { windowMs: 15 * MINUTE_MS, max: 20, by: 'ip' },
+  loginAccount: { windowMs: 15 * MINUTE_MS, max: 10, by: 'account' },
+  passwordReset: { windowMs: 60 * MINUTE_MS, max: 10, by: 'ip' },
+  passwordResetAccount: { windowMs: 60 * MINUTE_MS, max: 3, by: 'account' },
+  twoFactor: { windowMs: 15 * MINUTE_MS, max: 10, by: 'ip' },
+  refresh: { windowMs: 15 * MINUTE_MS, max: 60, by: 'ip' },
+};
+
+module.exports = {
+  store,
+  limits,
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  // Failed logins in a row before an account is locked. Each further
+  // lockout lasts twice as long as the previous one, up to `maxLockMinutes`.
+  lockout: {
+    maxFailedAttempts: Number(process.env.LOCKOUT_MAX_ATTEMPTS) || 5,
+    baseLockMinutes: Number(process.env.LOCKOUT_BASE_MINUTES) || 15,
+    maxLockMinutes: 24 * 60,
+  },
+  // Any provider with a reCAPTCHA-style siteverify API (reCAPTCHA, hCaptcha,
+  // Turnstile). Disabled while CAPTCHA_SECRET is unset.
+  captcha: {
+    secret: process.env.CAPTCHA_SECRET,
+    verifyUrl:
+      process.env.CAPTCHA_VERIFY_URL ||
+      'https://www.google.com/recaptcha/api/siteverify',
+    afterFailures: Number(process.env.CAPTCHA_AFTER_FAILURES) || 3,
+  },
+};
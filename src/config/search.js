@@ -0,0 +1,43 @@
+// Product search. Weights feed the text index, so changing them needs the
+// `product_search` index to be dropped and rebuilt.
+module.exports = {
+  weights: {
+    name: 10,
+    categoryNames: 5,
+    brand: 4,
+    subtitle: 3,
+    description: 1,
+  },
+  defaultLimit: 16,
+  maxLimit: 50,
+  maxTerms: 10,
+  // Unknown words are matched against the words in the catalogue.
+  fuzzy: {
+    minLength: 3,
+    // Edits allowed for words of up to 5 letters, and for longer ones.
+    shortWordEdits: 1,
+    longWordEdits: 2,
+    maxCorrections: 3,
+  },
+  // The last word of a query also matches catalogue words it starts.
+  prefix: {
+    minLength: 2,
+    maxExpansions: 5,
+  },
+  vocabularyTtlMs:
+    Number(process.env.SEARCH_VOCABULARY_TTL_MS) || 5 * 60 * 1000,
+  highlight: { pre: '<mark>', post: '</mark>' },
+  // GET /products/suggest, called on every keystroke.
+  suggest: {
+    minLength: 2,
+    products: 5,
+    categories: 3,
+    queries: 5,
+    budgetMs: 50,
+    cache: { max: 1000, ttlMs: 30 * 1000 },
+    // Categories and popular queries are matched in memory.
+    refreshMs: 5 * 60 * 1000,
+    popularWindowDays: 30,
+    popularPoolSize: 500,
+  },
+};
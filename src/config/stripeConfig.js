@@ -1,6 +1,17 @@
 require('dotenv').config();
 const Stripe = require('stripe');
 
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stripe-mock.
+// Webhook handling is tested with the signed events in tests/fixtures/stripe.
+const localApi = process.env.STRIPE_API_HOST
+  ? {
+      host: process.env.STRIPE_API_HOST,
+      port: process.env.STRIPE_API_PORT || 12111,
+      protocol: process.env.STRIPE_API_PROTOCOL || 'http',
+    }
+  : {};
+
 module.exports = new Stripe(process.env.STRIPE_SECRET_KEY, {
-  apiVersion: '2023-08-16'
-});
\ No newline at end of file
+  apiVersion: '2023-08-16',
+  ...localApi,
+});
@@ -0,0 +1,112 @@
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const AuditLog = require('../models/auditLog.model');
+const { buildAuditFilter } = require('../services/audit.service');
+
+const EXPORT_LIMIT = 50000;
+
+const CSV_COLUMNS = [
+  'createdAt',
+  'action',
+  'actorId',
+  'actorEmail',
+  'actorRole',
+  'targetType',
+  'targetId',
+  'changes',
+  'ip',
+  'userAgent',
+];
+
+// Cells starting like a formula are prefixed with a quote so spreadsheets
+// show user agents and other user-supplied text instead of running it.
+const csvCell = (value) => {
+  if (value === undefined || value === null) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (entry) =>
+  [
+    entry.createdAt?.toISOString(),
+    entry.action,
+    entry.actor?._id,
+    entry.actor?.email,
+    entry.actorRole,
+    entry.targetType,
+    entry.targetId,
+    entry.changes?.length ? entry.changes : '',
+    entry.ip,
+    entry.userAgent,
+  ]
+    .map(csvCell)
+    .join(',');
+
+// Admin - GET /admin/v1/audit
+const getAuditLogs = asyncWrapper(async (req, res, next) => {
+  let { limit = 20, page = 1 } = req.query;
+  limit = parseInt(limit);
+  page = parseInt(page);
+
+  if (isNaN(limit) || isNaN(page) || limit <= 0 || page <= 0) {
+    return next(
+      new AppError(
+        "Invalid pagination parameters. 'limit' and 'page' must be positive numbers.",
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const filter = buildAuditFilter(req.query);
+  const [entries, totalEntries] = await Promise.all([
+    AuditLog.find(filter)
+      .populate({ path: 'actor', select: 'username email' })
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    AuditLog.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: {
+      entries,
+      totalEntries,
+      currentPage: page,
+      totalPages: Math.ceil(totalEntries / limit),
+    },
+  });
+});
+
+// Admin - GET /admin/v1/audit/export  (same filters, CSV download)
+const exportAuditLogs = asyncWrapper(async (req, res, next) => {
+  const filter = buildAuditFilter(req.query);
+  const cursor = AuditLog.find(filter)
+    .populate({ path: 'actor', select: 'email' })
+    .sort({ createdAt: -1 })
+    .limit(EXPORT_LIMIT)
+    .lean()
+    .cursor();
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="audit-log-${new Date()
+      .toISOString()
+      .slice(0, 10)}.csv"`
+  );
+  res.write(`${CSV_COLUMNS.join(',')}\n`);
+  for await (const entry of cursor) {
+    res.write(`${toCsvRow(entry)}\n`);
+  }
+  res.end();
+});
+
+module.exports = {
+  getAuditLogs,
+  exportAuditLogs,
+};
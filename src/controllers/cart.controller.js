@@ -3,6 +3,8 @@ const httpStatusText = require("../utils/httpStatusText");
 const AppError = require("../utils/appError");
 const Cart = require("../models/cart.model");
 const Product = require("../models/product.model");
+const pricingService = require("../services/pricing.service");
+const couponService = require("../services/coupon.service");
 const asyncWrapper = require("../middlewares/asyncWrapper.middleware");
 
 // Helper: Calculate product display data
@@ -28,13 +30,37 @@ const formatProductData = (id, quantity, color) => {
   };
 };
 
+// Helper: Totals shown alongside the cart lines
+const formatTotals = (quote) => ({
+  subtotal: quote ? quote.subtotal : 0,
+  discounts: quote ? quote.discounts : [],
+  discountTotal: quote ? quote.discountTotal : 0,
+  taxLines: quote ? quote.taxLines : [],
+  taxTotal: quote ? quote.taxTotal : 0,
+  shipping: quote ? quote.shipping : null,
+  total: quote ? quote.total : 0,
+  coupon: quote?.coupon
+    ? {
+        code: quote.coupon.code,
+        valid: quote.coupon.valid,
+        reason: quote.coupon.reason,
+      }
+    : null,
+});
+
 // GET: Retrieve user cart
+// Optional ?country=&region=&zipCode= previews the tax for that address,
+// and ?shippingMethodId= the shipping cost (the default method otherwise).
 const getUserCart = asyncWrapper(async (req, res, next) => {
   const userId = req.user._id;
+  const { country, region, zipCode, shippingMethodId } = req.query;
   console.log(`[Cart] Fetching cart for user: ${userId}`);
 
   const cart = await Cart.findOne({ userId })
-    .populate("products.id", "_id name colors price sale")
+    .populate(
+      "products.id",
+      "_id name colors price sale categories deleted additionalInformation.specifications.weight"
+    )
     .lean();
 
   if (!cart) {
@@ -47,13 +73,21 @@ const getUserCart = asyncWrapper(async (req, res, next) => {
     .filter(Boolean);
 
   const totalPrice = cart.totalPrice;
+  const quote =
+    products.length > 0
+      ? await pricingService.priceCart(cart, {
+          userId,
+          shippingMethodId,
+          address: country ? { country, region, zipCode } : null,
+        })
+      : null;
 
   console.log(
     `[Cart] Cart retrieved for user: ${userId}, Total products: ${products.length}`
   );
   res.status(200).json({
     status: httpStatusText.SUCCESS,
-    data: { products, totalPrice },
+    data: { products, totalPrice, ...formatTotals(quote) },
   });
 });
 
@@ -225,8 +259,70 @@ const updateCart = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// POST: Apply a coupon code to the cart
+const applyCoupon = asyncWrapper(async (req, res, next) => {
+  const userId = req.user._id;
+  const { code } = req.body;
+
+  if (!code || typeof code !== "string") {
+    return next(
+      new AppError("Coupon code is required.", 400, httpStatusText.FAIL)
+    );
+  }
+
+  const cart = await Cart.findOne({ userId }).populate("products.id");
+  if (!cart || cart.products.length === 0) {
+    return next(new AppError("Your cart is empty.", 400, httpStatusText.FAIL));
+  }
+
+  const coupon = await couponService.findCouponByCode(code);
+  if (!coupon) {
+    return next(
+      new AppError("Coupon not found.", 404, httpStatusText.NOT_FOUND)
+    );
+  }
+
+  cart.coupon = { couponId: coupon._id, code: coupon.code };
+  const quote = await pricingService.priceCart(cart, { userId });
+  if (!quote.coupon.valid) {
+    console.warn(`[Cart] Coupon ${coupon.code} rejected for user: ${userId}`);
+    return next(new AppError(quote.coupon.reason, 400, httpStatusText.FAIL));
+  }
+
+  await Cart.updateOne({ _id: cart._id }, { $set: { coupon: cart.coupon } });
+  console.log(`[Cart] Coupon ${coupon.code} applied for user: ${userId}`);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: formatTotals(quote),
+  });
+});
+
+// DELETE: Remove the coupon from the cart
+const removeCoupon = asyncWrapper(async (req, res, next) => {
+  const userId = req.user._id;
+
+  const cart = await Cart.findOneAndUpdate(
+    { userId },
+    { $unset: { coupon: 1 } },
+    { new: true }
+  );
+  if (!cart) {
+    return next(new AppError("Cart not found.", 404, httpStatusText.FAIL));
+  }
+
+  console.log(`[Cart] Coupon removed for user: ${userId}`);
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: "Coupon removed.",
+    data: null,
+  });
+});
+
 module.exports = {
   getUserCart,
   addToCart,
   updateCart,
+  applyCoupon,
+  removeCoupon,
 };
@@ -4,6 +4,13 @@ const Product = require('../models/product.model');
 const AppError = require('../utils/appError');
 const httpStatusText = require('../utils/httpStatusText');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const searchService = require('../services/search.service');
+const {
+  parsePagination,
+  parseSort,
+  paginationStages,
+  buildPage,
+} = require('../utils/pagination');
 
 // Helper to validate MongoDB ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
@@ -12,23 +19,25 @@ const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 // GET /categories
 // ==============================
 const getAllCategories = asyncWrapper(async (req, res, next) => {
-  const {
-    searchQuery,
-    page = 1,
-    limit = 10,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
-  } = req.query;
+  const { searchQuery, sortBy, order, sortOrder } = req.query;
+  const pagination = parsePagination(req.query);
+  // `sortOrder` is what older clients send instead of `order`.
+  const sort = parseSort(sortBy, order ?? sortOrder, {
+    fields: {
+      createdAt: 'createdAt',
+      name: 'name',
+      productCount: 'productCount',
+      totalSales: 'totalSales',
+    },
+    defaultKey: 'createdAt',
+    defaultOrder: 'desc',
+  });
 
   const matchStage = searchQuery
     ? { name: { $regex: searchQuery, $options: 'i' } }
     : {};
 
-  const pageNumber = parseInt(page, 10);
-  const pageSize = parseInt(limit, 10);
-  const sortStage = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-
-  const categories = await Category.aggregate([
+  const results = await Category.aggregate([
     { $match: matchStage },
     {
       $lookup: {
@@ -100,23 +109,23 @@ const getAllCategories = asyncWrapper(async (req, res, next) => {
         createdAt: 1,
       },
     },
-    { $sort: sortStage },
-    { $skip: (pageNumber - 1) * pageSize },
-    { $limit: pageSize },
+    ...paginationStages(pagination, sort),
   ]);
 
   const totalCategories = await Category.countDocuments(matchStage);
-
-  if (!categories.length) {
-    return next(new AppError('No categories found.', 404, httpStatusText.FAIL));
-  }
+  const { items: categories, meta } = buildPage(results, {
+    pagination,
+    sort,
+    total: totalCategories,
+  });
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
+    meta,
     data: {
       categories,
-      currentPage: pageNumber,
-      totalPages: Math.ceil(totalCategories / pageSize),
+      currentPage: meta.page,
+      totalPages: meta.totalPages,
       totalCategories,
     },
   });
@@ -326,6 +335,7 @@ const editCategory = asyncWrapper(async (req, res, next) => {
   if (!updated) {
     return next(new AppError('Category not found.', 404, httpStatusText.FAIL));
   }
+  await searchService.syncSearchFields({ categories: updated._id });
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -374,6 +384,7 @@ const deleteCategory = asyncWrapper(async (req, res, next) => {
   }
 
   await Product.updateMany({ categories: id }, { $pull: { categories: id } });
+  await searchService.syncSearchFields({ categoryNames: deleted.name });
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
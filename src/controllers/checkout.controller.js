@@ -3,72 +3,199 @@ const httpStatusText = require('../utils/httpStatusText');
 const AppError = require('../utils/appError');
 const Cart = require('../models/cart.model');
 const Order = require('../models/order.model');
-const Product = require('../models/product.model');
+const inventoryService = require('../services/inventory.service');
+const pricingService = require('../services/pricing.service');
+const stripeService = require('../services/stripe.service');
+const couponService = require('../services/coupon.service');
+const shippingService = require('../services/shipping.service');
 
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
 
+const paymentAlreadyUsed = () =>
+  new AppError(
+    'This payment has already been used for another order',
+    409,
+    httpStatusText.FAIL
+  );
+
+// Card orders must reference an intent created for this exact cart.
+const resolvePayment = async ({
+  userId,
+  paymentMethod,
+  transactionId,
+  quote,
+}) => {
+  if (!transactionId) {
+    if (paymentMethod === 'card') {
+      throw new AppError(
+        'A payment transaction is required for card orders',
+        400,
+        httpStatusText.FAIL
+      );
+    }
+    return 'pending';
+  }
+
+  const paymentIntent = await stripeService.retrievePaymentIntent(
+    transactionId
+  );
+  const mismatches = stripeService.verifyPaymentIntent(paymentIntent, {
+    userId,
+    ...quote,
+  });
+  if (mismatches.length > 0) {
+    console.warn(
+      `[CHECKOUT] Payment ${transactionId} does not match cart of ${userId}:`,
+      mismatches
+    );
+    throw new AppError(
+      'Payment does not match the current cart. Please pay again.',
+      400,
+      httpStatusText.FAIL,
+      { mismatches }
+    );
+  }
+
+  // The intent may already have settled before the order is placed.
+  if (paymentIntent.status === 'succeeded') return 'paid';
+  return (
+    (await stripeService.getRecordedPaymentStatus(transactionId)) || 'pending'
+  );
+};
+
 const placeOrder = asyncWrapper(async (req, res, next) => {
+  const session = await mongoose.startSession();
   try {
     const userId = req.user._id;
-    const { shippingAddress, paymentMethod, transactionId } = req.body;
+    const { shippingAddress, paymentMethod, transactionId, shippingMethodId } =
+      req.body;
     if (!mongoose.Types.ObjectId.isValid(userId)) {
       return next(new AppError('Invalid User ID', 400, httpStatusText.FAIL));
     }
 
-    const cart = await Cart.findOne({ userId }).populate('products.id');
-    if (!cart || cart.products.length === 0) {
-      return next(new AppError('Cart is empty', 400, httpStatusText.FAIL));
-    }
-    console.log(cart.products);
-    const orderItems = cart.products.map((item) => {
-      return {
-        id: item.id._id,
-        name: item.id.name,
-        quantity: item.quantity,
-        price: item.subtotal,
-        color: item.color,
-      };
+    const quote = await pricingService.quoteCart(userId, {
+      shippingMethodId,
+      address: shippingAddress,
     });
-    for (const item of cart.products) {
-      if (item.quantity > item.id.quantity) {
-        return next(
-          new AppError(
-            `Not enough stock for ${item.id.name}. Available: ${item.id.quantity} Requested: ${item.quantity}`,
-            400,
-            httpStatusText.FAIL
-          )
-        );
-      }
+    if (quote.coupon && !quote.coupon.valid) {
+      return next(
+        new AppError(
+          `Coupon ${quote.coupon.code} cannot be applied: ${quote.coupon.reason}`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
     }
-
-    const order = new Order({
+    const paymentStatus = await resolvePayment({
       userId,
-      orderItems,
-      shippingAddress,
       paymentMethod,
       transactionId,
-      totalAmount: cart.totalPrice.toFixed(2),
+      quote,
     });
 
-    await order.save();
+    const orderItems = quote.lines.map((line) => ({
+      id: line.productId,
+      name: line.name,
+      quantity: line.quantity,
+      price: line.unitPrice,
+      color: line.color,
+      sku: line.sku,
+    }));
 
-    const updatePromises = cart.products.map((item) =>
-      Product.updateOne(
-        { _id: item.id._id },
-        { $inc: { quantity: -item.quantity } }
-      )
-    );
+    let order;
+    // Known up front so the stock movements can point at the order.
+    const orderId = new mongoose.Types.ObjectId();
+    // Stock, order and cart are committed together or not at all.
+    await session.withTransaction(async () => {
+      if (
+        transactionId &&
+        (await Order.exists({ transactionId }).session(session))
+      ) {
+        throw paymentAlreadyUsed();
+      }
+
+      const shortages = await inventoryService.reserveStock(
+        quote.cart.products,
+        session,
+        { orderId, actor: req.user }
+      );
+      if (shortages.length > 0) {
+        throw new AppError(
+          'Not enough stock for some items in your cart',
+          400,
+          httpStatusText.FAIL,
+          { items: shortages }
+        );
+      }
+
+      if (quote.coupon) {
+        await couponService.redeemCoupon(quote.coupon.couponId, session, {
+          userId,
+        });
+      }
 
-    await Promise.all(updatePromises);
-    await Cart.findOneAndDelete(userId);
+      order = new Order({
+        _id: orderId,
+        userId,
+        orderItems,
+        shippingAddress,
+        paymentMethod,
+        transactionId: transactionId || undefined,
+        paymentStatus,
+        subtotal: quote.subtotal,
+        shipping: quote.shipping || undefined,
+        coupon: quote.coupon
+          ? {
+              couponId: quote.coupon.couponId,
+              code: quote.coupon.code,
+              type: quote.coupon.type,
+              discount: quote.discountTotal,
+            }
+          : undefined,
+        discountAmount: quote.discountTotal,
+        taxLines: quote.taxLines,
+        taxAmount: quote.taxTotal,
+        totalAmount: quote.total,
+        statusHistory: [
+          {
+            from: null,
+            to: 'Pending',
+            actor: userId,
+            actorRole: req.user.role,
+          },
+        ],
+      });
+      await order.save({ session });
 
+      await Cart.deleteOne({ _id: quote.cart._id }, { session });
+    });
+
+    console.log(`[CHECKOUT] Order ${order.orderNumber} placed by ${userId}`);
     res.status(201).json({ message: 'Order placed successfully!', order });
   } catch (error) {
+    if (error instanceof AppError) {
+      return next(error);
+    }
+    // Two checkouts raced with the same payment.
+    if (error.code === 11000 && error.keyPattern?.transactionId) {
+      return next(paymentAlreadyUsed());
+    }
     console.error('Error placing order:', error);
     return next(
       new AppError('Failed to place order', 500, httpStatusText.ERROR)
     );
+  } finally {
+    session.endSession();
   }
 });
 
-module.exports = { placeOrder };
+// GET /checkout/shipping-methods (public)
+const getShippingMethods = asyncWrapper(async (req, res) => {
+  const shippingMethods = await shippingService.listShippingMethods();
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { shippingMethods },
+  });
+});
+
+module.exports = { placeOrder, getShippingMethods };
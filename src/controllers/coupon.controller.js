@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const Coupon = require('../models/coupon.model');
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'minSubtotal',
+  'categories',
+  'products',
+  'usageLimit',
+  'perUserLimit',
+  'startsAt',
+  'expiresAt',
+  'isActive',
+];
+
+const pickCouponFields = (body) =>
+  EDITABLE_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+  }, {});
+
+// Admin - GET /coupons
+const getAllCoupons = asyncWrapper(async (req, res, next) => {
+  const { active } = req.query;
+  const filter = { deletedAt: null };
+  if (active !== undefined) filter.isActive = active === 'true';
+
+  const coupons = await Coupon.find(filter).sort({ createdAt: -1 }).lean();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { coupons },
+  });
+});
+
+// Admin - POST /coupons
+const createCoupon = asyncWrapper(async (req, res, next) => {
+  const data = pickCouponFields(req.body);
+  if (!data.code || !data.type) {
+    return next(
+      new AppError(
+        'Coupon code and type are required',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+  if (typeof data.code !== 'string' || !data.code.trim()) {
+    return next(
+      new AppError('Coupon code must be text', 400, httpStatusText.FAIL)
+    );
+  }
+
+  const existing = await Coupon.findOne({
+    code: data.code.trim().toUpperCase(),
+  });
+  if (existing) {
+    return next(
+      new AppError('Coupon code already exists', 400, httpStatusText.FAIL)
+    );
+  }
+
+  let coupon;
+  try {
+    coupon = await Coupon.create(data);
+  } catch (error) {
+    return next(new AppError(error.message, 400, httpStatusText.FAIL));
+  }
+
+  console.log(`[COUPON] Created ${coupon.code}`);
+  res.status(201).json({
+    status: httpStatusText.SUCCESS,
+    data: { coupon },
+  });
+});
+
+// Admin - PATCH /coupons/:id
+const updateCoupon = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid coupon ID', 400, httpStatusText.FAIL));
+  }
+
+  const coupon = await Coupon.findOne({ _id: id, deletedAt: null });
+  if (!coupon) {
+    return next(
+      new AppError('Coupon not found', 404, httpStatusText.NOT_FOUND)
+    );
+  }
+
+  coupon.set(pickCouponFields(req.body));
+  try {
+    await coupon.save();
+  } catch (error) {
+    return next(new AppError(error.message, 400, httpStatusText.FAIL));
+  }
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { coupon },
+  });
+});
+
+// Admin - DELETE /coupons/:id (soft delete, redemptions keep their reference)
+const deleteCoupon = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid coupon ID', 400, httpStatusText.FAIL));
+  }
+
+  const coupon = await Coupon.findOneAndUpdate(
+    { _id: id, deletedAt: null },
+    { deletedAt: new Date(), isActive: false },
+    { new: true }
+  );
+  if (!coupon) {
+    return next(
+      new AppError('Coupon not found', 404, httpStatusText.NOT_FOUND)
+    );
+  }
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Coupon deleted successfully',
+    data: null,
+  });
+});
+
+module.exports = {
+  getAllCoupons,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+};
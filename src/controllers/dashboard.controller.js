@@ -3,10 +3,42 @@ const Order = require('../models/order.model');
 const Product = require('../models/product.model');
 const Category = require('../models/category.model');
 const User = require('../models/user.model');
+const Refund = require('../models/refund.model');
 const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const suggestionService = require('../services/suggestion.service');
 
 const mongoose = require('mongoose');
 
+// Refunds that were issued (or are on their way) in the matched window.
+const sumRefunds = async (match) => {
+  const refunds = await Refund.aggregate([
+    { $match: { ...match, status: { $ne: 'failed' } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+  return refunds[0]?.total || 0;
+};
+
+// The same per calendar month of `year`, as [{ _id: month, totalRefunds }].
+const sumRefundsByMonth = (year) =>
+  Refund.aggregate([
+    {
+      $match: {
+        status: { $ne: 'failed' },
+        createdAt: {
+          $gte: new Date(`${year}-01-01T00:00:00.000Z`),
+          $lte: new Date(`${year}-12-31T23:59:59.999Z`),
+        },
+      },
+    },
+    {
+      $group: {
+        _id: { $month: '$createdAt' },
+        totalRefunds: { $sum: '$amount' },
+      },
+    },
+  ]);
+
 const getMetrics = asyncWrapper(async (req, res, next) => {
   const currentDate = new Date();
   const startOfCurrentMonth = new Date(
@@ -136,12 +168,19 @@ const getMontlySales = asyncWrapper(async (req, res, next) => {
     },
   ]);
 
+  const monthlyRefunds = await sumRefundsByMonth(selectedYear);
+
   // Format result to include all months even if sales are 0
   const result = Array.from({ length: 12 }, (_, index) => {
     const monthData = monthlySales.find((m) => m.month === index + 1);
+    const refundData = monthlyRefunds.find((r) => r._id === index + 1);
+    const totalSales = monthData ? monthData.totalSales : 0;
+    const totalRefunds = refundData ? refundData.totalRefunds : 0;
     return {
       month: index + 1,
-      totalSales: monthData ? monthData.totalSales.toFixed(2) : '0.00',
+      totalSales: totalSales.toFixed(2),
+      totalRefunds: totalRefunds.toFixed(2),
+      netSales: (totalSales - totalRefunds).toFixed(2),
     };
   });
 
@@ -199,6 +238,8 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
     { $group: { _id: null, total: { $sum: '$totalAmount' } } },
   ]);
   const totalSalesThisMonth = salesThisMonthAgg[0]?.total || 0;
+  const totalRefundsThisMonth = await sumRefunds(filterThisMonth);
+  const netSalesThisMonth = totalSalesThisMonth - totalRefundsThisMonth;
   const canceledOrdersThisMonth = await Order.countDocuments({
     ...filterThisMonth,
     status: 'Cancelled',
@@ -217,6 +258,8 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
     { $group: { _id: null, total: { $sum: '$totalAmount' } } },
   ]);
   const totalSalesLastMonth = salesLastMonthAgg[0]?.total || 0;
+  const totalRefundsLastMonth = await sumRefunds(filterLastMonth);
+  const netSalesLastMonth = totalSalesLastMonth - totalRefundsLastMonth;
   const canceledOrdersLastMonth = await Order.countDocuments({
     ...filterLastMonth,
     status: 'Cancelled',
@@ -243,6 +286,7 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
   // Trends
   const ordersTrend = getTrend(totalOrdersThisMonth, totalOrdersLastMonth);
   const salesTrend = getTrend(totalSalesThisMonth, totalSalesLastMonth);
+  const netSalesTrend = getTrend(netSalesThisMonth, netSalesLastMonth);
   const cancelationTrend = getTrend(
     cancelationRateThisMonth,
     cancelationRateLastMonth
@@ -260,6 +304,10 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
     totalSalesThisMonth,
     totalSalesLastMonth
   );
+  const netSalesPercentageChange = calculatePercentageChange(
+    netSalesThisMonth,
+    netSalesLastMonth
+  );
   const cancelationPercentageChange = calculatePercentageChange(
     cancelationRateThisMonth,
     cancelationRateLastMonth
@@ -274,6 +322,8 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
     data: {
       totalOrders,
       totalSales: totalSalesThisMonth.toFixed(2),
+      totalRefunds: totalRefundsThisMonth.toFixed(2),
+      netSales: netSalesThisMonth.toFixed(2),
       cancelationRate: cancelationRateThisMonth.toFixed(2),
       avgOrderValue: avgOrderValueThisMonth.toFixed(2),
       statusCounts,
@@ -286,6 +336,10 @@ const getOrderStatus = asyncWrapper(async (req, res, next) => {
           trend: salesTrend,
           percentageChange: salesPercentageChange.toFixed(2),
         },
+        netSales: {
+          trend: netSalesTrend,
+          percentageChange: netSalesPercentageChange.toFixed(2),
+        },
         cancelationRate: {
           trend: cancelationTrend,
           percentageChange: cancelationPercentageChange.toFixed(2),
@@ -337,12 +391,19 @@ const getSalesByPeriod = asyncWrapper(async (req, res, next) => {
     },
   ]);
 
+  const monthlyRefunds = await sumRefundsByMonth(selectedYear);
+
   // Format result to include all months even if sales are 0
   const result = Array.from({ length: 12 }, (_, index) => {
     const monthData = monthlySales.find((m) => m.month === index + 1);
+    const refundData = monthlyRefunds.find((r) => r._id === index + 1);
+    const totalSales = monthData ? monthData.totalSales : 0;
+    const totalRefunds = refundData ? refundData.totalRefunds : 0;
     return {
       month: index + 1,
-      totalSales: monthData ? monthData.totalSales.toFixed(2) : '0.00',
+      totalSales: totalSales.toFixed(2),
+      totalRefunds: totalRefunds.toFixed(2),
+      netSales: (totalSales - totalRefunds).toFixed(2),
     };
   });
 
@@ -646,10 +707,51 @@ const getBestEntities = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// GET /dashboard/popularSearches?from=&to=&limit=
+const getPopularSearches = asyncWrapper(async (req, res, next) => {
+  const limit = Number(req.query.limit || 20);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return next(
+      new AppError(
+        "'limit' must be a number between 1 and 100.",
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const range = {};
+  for (const name of ['from', 'to']) {
+    const value = req.query[name];
+    if (!value) continue;
+    range[name] = new Date(value);
+    if (typeof value !== 'string' || isNaN(range[name])) {
+      return next(
+        new AppError(
+          `'${name}' must be a valid date.`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
+    }
+  }
+
+  const report = await suggestionService.getPopularSearchReport({
+    ...range,
+    limit,
+  });
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: report,
+  });
+});
+
 module.exports = {
   getMetrics,
   getMontlySales,
   getOrderStatus,
   getSalesByPeriod,
   getBestEntities,
+  getPopularSearches,
 };
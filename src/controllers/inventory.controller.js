@@ -0,0 +1,101 @@
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const InventoryMovement = require('../models/inventoryMovement.model');
+const inventoryService = require('../services/inventory.service');
+const {
+  parsePagination,
+  paginateQuery,
+  buildPage,
+} = require('../utils/pagination');
+
+const HISTORY_SORT = { key: 'createdAt', field: 'createdAt', order: -1 };
+
+// Stock of the :sku param, for the audit log diff.
+const snapshotStock = async (sku) => {
+  const { quantity } = await inventoryService.getStockLevel(sku);
+  return { quantity };
+};
+
+// GET /admin/v1/inventory/:sku/movements?type=&limit=&cursor=
+const getMovements = asyncWrapper(async (req, res, next) => {
+  const { sku } = req.params;
+  const { type } = req.query;
+  const pagination = parsePagination(req.query, { defaultLimit: 20 });
+
+  const filter = { sku };
+  if (type) {
+    const types = Array.isArray(type) ? type : type.split(',');
+    const unknown = types.filter((t) => !InventoryMovement.TYPES.includes(t));
+    if (unknown.length > 0) {
+      return next(
+        new AppError(
+          `Invalid movement type. Allowed values: ${InventoryMovement.TYPES.join(
+            ', '
+          )}`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
+    }
+    filter.type = { $in: types };
+  }
+
+  const [stock, total] = await Promise.all([
+    inventoryService.getStockLevel(sku),
+    InventoryMovement.countDocuments(filter),
+  ]);
+  const { items: movements, meta } = buildPage(
+    await paginateQuery(
+      InventoryMovement.find(filter),
+      pagination,
+      HISTORY_SORT
+    )
+      .populate({ path: 'actor', select: 'username email' })
+      .populate({ path: 'orderId', select: 'orderNumber' })
+      .lean(),
+    { pagination, sort: HISTORY_SORT, total }
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    meta,
+    data: { stock, movements },
+  });
+});
+
+// POST /admin/v1/inventory/:sku/adjustments
+// { type: 'adjustment' | 'stocktake', quantity, reason, note }
+const adjustStock = asyncWrapper(async (req, res, next) => {
+  const { type, quantity, reason, note } = req.body;
+  const movement = await inventoryService.adjustStock(req.params.sku, {
+    type,
+    quantity,
+    reason,
+    note,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Stock updated',
+    data: { movement },
+  });
+});
+
+// GET /admin/v1/inventory/reconcile
+const reconcileStock = asyncWrapper(async (req, res, next) => {
+  const report = await inventoryService.reconcileStock();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: report,
+  });
+});
+
+module.exports = {
+  snapshotStock,
+  getMovements,
+  adjustStock,
+  reconcileStock,
+};
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const invitationService = require('../services/invitation.service');
+
+const invitationView = (user) => ({
+  _id: user._id,
+  email: user.email,
+  role: user.role,
+  expiresAt: user.invitationTokenExpiry,
+});
+
+const checkUserId = (userId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new AppError('Invalid User ID', 400, httpStatusText.FAIL);
+  }
+};
+
+// Admin - POST /auth/admin/invite  { email, role }
+const createInvitation = asyncWrapper(async (req, res, next) => {
+  console.log('[INVITE ADMIN] Request Body:', req.body);
+  const user = await invitationService.createInvitation(req.body, req.user);
+
+  res.status(201).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Invitation sent successfully.',
+    data: { invitation: invitationView(user) },
+  });
+});
+
+// Admin - GET /auth/invitations
+const getPendingInvitations = asyncWrapper(async (req, res, next) => {
+  const invitations = await invitationService.listPendingInvitations();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { invitations },
+  });
+});
+
+// Admin - POST /auth/invitations/:userId/resend
+const resendInvitation = asyncWrapper(async (req, res, next) => {
+  checkUserId(req.params.userId);
+  const user = await invitationService.resendInvitation(req.params.userId);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Invitation sent again.',
+    data: { invitation: invitationView(user) },
+  });
+});
+
+// Admin - DELETE /auth/invitations/:userId
+const revokeInvitation = asyncWrapper(async (req, res, next) => {
+  checkUserId(req.params.userId);
+  await invitationService.revokeInvitation(req.params.userId);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Invitation revoked.',
+    data: null,
+  });
+});
+
+// POST /auth/invitations/accept  { token, password }
+const acceptInvitation = asyncWrapper(async (req, res, next) => {
+  await invitationService.acceptInvitation(req.body);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Invitation accepted. Your account is now active.',
+    data: null,
+  });
+});
+
+module.exports = {
+  createInvitation,
+  getPendingInvitations,
+  resendInvitation,
+  revokeInvitation,
+  acceptInvitation,
+};
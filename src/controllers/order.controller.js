@@ -1,38 +1,42 @@
+const mongoose = require('mongoose');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
 const httpStatusText = require('../utils/httpStatusText');
 const AppError = require('../utils/appError');
+const {
+  parsePagination,
+  parseSort,
+  paginateQuery,
+  buildPage,
+} = require('../utils/pagination');
 const Order = require('../models/order.model');
+const orderLifecycle = require('../services/orderLifecycle.service');
 
 // Admin - Get All Orders
 const getAllOrders = asyncWrapper(async (req, res, next) => {
-  let {
-    limit = 10,
-    page = 1,
+  const {
     status,
     startDate,
     endDate,
-    sortBy = 'createdAt',
-    sortOrder = 'desc',
+    sortBy,
+    order,
+    sortOrder,
     searchQuery,
     minAmount,
     maxAmount,
     userId,
   } = req.query;
-  // Convert pagination to numbers
-  limit = parseInt(limit);
-  page = parseInt(page);
-
-  if (isNaN(limit) || isNaN(page) || limit <= 0 || page <= 0) {
-    return next(
-      new AppError(
-        "Invalid pagination parameters. 'limit' and 'page' must be positive numbers.",
-        400,
-        httpStatusText.FAIL
-      )
-    );
-  }
-
-  const skip = (page - 1) * limit;
+  const pagination = parsePagination(req.query);
+  // `sortOrder` is what older clients send instead of `order`.
+  const sort = parseSort(sortBy, order ?? sortOrder, {
+    fields: {
+      createdAt: 'createdAt',
+      totalAmount: 'totalAmount',
+      orderNumber: 'orderNumber',
+      status: 'status',
+    },
+    defaultKey: 'createdAt',
+    defaultOrder: 'desc',
+  });
 
   // Start building the query
   let query = Order.find();
@@ -91,22 +95,17 @@ const getAllOrders = asyncWrapper(async (req, res, next) => {
     query = query.where('totalAmount').lte(parseFloat(maxAmount));
   }
 
-  // Apply sorting
-  const sortOption = { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
-  query = query.sort(sortOption);
-  console.log('Sorting orders by:', sortOption);
-
-  // Apply pagination
-  query = query.skip(skip).limit(limit);
-
-  // Execute the query with population
-  const orders = await query
-    .populate({ path: 'userId', select: 'username' })
-    .select('_id orderNumber status orderItems totalAmount createdAt userId');
-
-  // Get total count using the same filters
+  // Get total count using the same filters, before the cursor is applied
   const totalOrders = await Order.countDocuments(query.getFilter());
 
+  // Apply sorting and pagination, then execute with population
+  const { items: orders, meta } = buildPage(
+    await paginateQuery(query, pagination, sort)
+      .populate({ path: 'userId', select: 'username' })
+      .select('_id orderNumber status orderItems totalAmount createdAt userId'),
+    { pagination, sort, total: totalOrders }
+  );
+
   const formattedOrders = orders.map((order) => ({
     id: order._id,
     orderNumber: order.orderNumber,
@@ -122,41 +121,32 @@ const getAllOrders = asyncWrapper(async (req, res, next) => {
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
+    meta,
     data: {
       orders: formattedOrders,
       totalOrders,
-      currentPage: page,
-      totalPages: Math.ceil(totalOrders / limit),
+      currentPage: meta.page,
+      totalPages: meta.totalPages,
     },
   });
 });
 
 // Admin - Update Order Status
-const updateOrderStatus = async (req, res) => {
+const updateOrderStatus = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
-  const { status } = req.body;
+  const { status, note } = req.body;
 
-  try {
-    const updatedOrder = await Order.findByIdAndUpdate(
-      id,
-      { status },
-      { new: true }
-    );
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid order ID', 400, httpStatusText.FAIL));
+  }
 
-    if (!updatedOrder) {
-      console.warn(`Order not found: ${id}`);
-      return res.status(404).json({ message: 'Order not found' });
-    }
+  const updatedOrder = await orderLifecycle.transitionOrder(id, status, {
+    actor: req.user,
+    note,
+  });
 
-    console.log(`Updated order status for order ${id} to ${status}`);
-    res.json({ message: 'Order status updated', order: updatedOrder });
-  } catch (err) {
-    console.error('Error updating order status:', err);
-    res
-      .status(500)
-      .json({ message: 'Error updating order', error: err.message });
-  }
-};
+  res.json({ message: 'Order status updated', order: updatedOrder });
+});
 
 // Utility: Get Date Range Based on Named Range
 const getRangeDates = (range) => {
@@ -277,6 +267,23 @@ const getOrderDetails = asyncWrapper(async (req, res, next) => {
     id: order._id,
     orderNumber: order.orderNumber,
     status: order.status,
+    subtotal: order.subtotal?.toFixed(2) ?? null,
+    shipping: order.shipping?.name
+      ? {
+          methodId: order.shipping.methodId,
+          name: order.shipping.name,
+          cost: (order.shipping.cost || 0).toFixed(2),
+        }
+      : null,
+    discountAmount: (order.discountAmount || 0).toFixed(2),
+    coupon: order.coupon?.code || null,
+    taxLines: order.taxLines.map((line) => ({
+      name: line.name,
+      rate: line.rate,
+      inclusive: line.inclusive,
+      amount: line.amount.toFixed(2),
+    })),
+    taxAmount: (order.taxAmount || 0).toFixed(2),
     totalAmount: order.totalAmount.toFixed(2),
     shippingAddress: {
       name: order.shippingAddress.name,
@@ -284,10 +291,19 @@ const getOrderDetails = asyncWrapper(async (req, res, next) => {
       email: order.shippingAddress.email,
       address: order.shippingAddress.address,
       city: order.shippingAddress.city,
+      region: order.shippingAddress.region,
       zipCode: order.shippingAddress.zipCode,
       country: order.shippingAddress.country,
     },
     paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    statusHistory: order.statusHistory.map((entry) => ({
+      from: entry.from,
+      to: entry.to,
+      actorRole: entry.actorRole,
+      note: entry.note,
+      at: entry.at,
+    })),
     createdAt: order.createdAt,
     updatedAt: order.updatedAt,
     user: {
@@ -374,7 +390,48 @@ const getUserOrders = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// User - Cancel their own order while it has not shipped yet
+const cancelOrder = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid order ID', 400, httpStatusText.FAIL));
+  }
+
+  const order = await Order.findOne({ _id: id, userId: req.user._id });
+  if (!order) {
+    return next(new AppError('Order not found', 404, httpStatusText.NOT_FOUND));
+  }
+
+  if (!['Pending', 'Processing'].includes(order.status)) {
+    return next(
+      new AppError(
+        `Orders that are ${order.status} can no longer be cancelled`,
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const cancelledOrder = await orderLifecycle.transitionOrder(
+    order._id,
+    'Cancelled',
+    { actor: req.user, note: reason || 'Cancelled by customer' }
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Order cancelled successfully',
+    data: {
+      orderNumber: cancelledOrder.orderNumber,
+      status: cancelledOrder.status,
+    },
+  });
+});
+
 module.exports = {
+  cancelOrder,
   getUserOrders,
   getAllOrders,
   getOrderDetails,
@@ -1,10 +1,43 @@
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
 const stripeService = require('../services/stripe.service');
+const pricingService = require('../services/pricing.service');
 
+// POST /payments/payment
+// The amount is always computed from the user's cart, never taken from the body.
 const createPaymentIntent = asyncWrapper(async (req, res) => {
-  const { amount } = req.body;
-  const result = await stripeService.createPaymentIntent(amount);
+  const userId = req.user._id;
+  const { shippingMethodId, shippingAddress } = req.body;
+
+  const quote = await pricingService.quoteCart(userId, {
+    shippingMethodId,
+    address: shippingAddress,
+  });
+  const result = await stripeService.createPaymentIntent(
+    quote.total,
+    quote.currency.toLowerCase(),
+    {
+      userId: String(userId),
+      cartHash: quote.cartHash,
+      shippingMethodId: quote.shipping ? String(quote.shipping.methodId) : '',
+    }
+  );
+  console.log(
+    `[PAYMENT] Intent ${result.data.paymentIntentId} for ${userId}: ${quote.total} ${quote.currency}`
+  );
+
   res.status(200).json(result);
 });
 
-module.exports = { createPaymentIntent };
\ No newline at end of file
+// POST /payments/webhook (raw body, signed by Stripe)
+const handleWebhook = asyncWrapper(async (req, res) => {
+  const event = stripeService.constructWebhookEvent(
+    req.body,
+    req.headers['stripe-signature']
+  );
+  console.log(`[STRIPE WEBHOOK] Received ${event.type} (${event.id})`);
+
+  const result = await stripeService.handleWebhookEvent(event);
+  res.status(200).json({ received: true, ...result });
+});
+
+module.exports = { createPaymentIntent, handleWebhook };
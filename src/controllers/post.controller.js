@@ -3,20 +3,22 @@ const httpStatusText = require('../utils/httpStatusText');
 const AppError = require('../utils/appError');
 const Post = require('../models/blog.model');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const {
+  parsePagination,
+  parseSort,
+  paginateQuery,
+  buildPage,
+} = require('../utils/pagination');
 
 // Get all posts with pagination
 const getAllPosts = asyncWrapper(async (req, res, next) => {
-  let { limit = 4, page = 1, category } = req.query;
-
-  // Ensure limit and page are integers and handle invalid values
-  limit = Math.max(1, parseInt(limit));
-  page = Math.max(1, parseInt(page));
-
-  if (isNaN(limit) || isNaN(page)) {
-    return next(
-      new AppError('Invalid pagination parameters.', 400, httpStatusText.FAIL)
-    );
-  }
+  const { category } = req.query;
+  const pagination = parsePagination(req.query, { defaultLimit: 4 });
+  const sort = parseSort(req.query.sortBy, req.query.order, {
+    fields: { date: 'date' },
+    defaultKey: 'date',
+    defaultOrder: 'desc',
+  });
 
   // Filter by category if provided
   let filter = {};
@@ -24,15 +26,14 @@ const getAllPosts = asyncWrapper(async (req, res, next) => {
     filter.categories = { $in: [category] }; // Match posts that have the specified category
   }
 
-  const skip = (page - 1) * limit;
   const totalPosts = await Post.countDocuments(filter); // Count the total posts that match the filter
-  const posts = await Post.find(filter)
-    .select('_id title description img categories date adminUser')
-    .limit(limit)
-    .skip(skip)
-    .sort({ date: -1 })
-    .populate('adminUser', 'username -_id') // Populate only the username and exclude the _id
-    .lean();
+  const { items: posts, meta } = buildPage(
+    await paginateQuery(Post.find(filter), pagination, sort)
+      .select('_id title description img categories date adminUser')
+      .populate('adminUser', 'username -_id') // Populate only the username and exclude the _id
+      .lean(),
+    { pagination, sort, total: totalPosts }
+  );
 
   // Modify posts to return adminUser as "user: name"
   const modifiedPosts = posts.map((post) => ({
@@ -43,6 +44,7 @@ const getAllPosts = asyncWrapper(async (req, res, next) => {
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
+    meta,
     data: { totalPosts, posts: modifiedPosts },
   });
 });
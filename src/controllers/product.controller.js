@@ -3,82 +3,63 @@ const httpStatusText = require('../utils/httpStatusText');
 const AppError = require('../utils/appError');
 const Product = require('../models/product.model');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const searchService = require('../services/search.service');
+const suggestionService = require('../services/suggestion.service');
+const inventoryService = require('../services/inventory.service');
+const {
+  parsePagination,
+  parseSort,
+  paginationStages,
+  buildPage,
+} = require('../utils/pagination');
 const Joi = require('joi');
 
+// GET /products
+// Besides categories and price, filters by colors, brands, materials,
+// dimensions (minWidth, maxHeight, ...), inStock and onSale. List filters
+// take comma-separated values. `facets` holds the counts for every filter,
+// each computed with all the other filters applied.
 const getAllProducts = asyncWrapper(async (req, res, next) => {
-  let {
-    limit = 16,
-    page = 1,
-    categories = '',
-    order = 'desc',
-    sortBy = 'date',
-    minPrice,
-    maxPrice,
-  } = req.query;
-
-  limit = Number(limit);
-  page = Number(page);
-  if (isNaN(limit) || isNaN(page) || limit < 1 || page < 1) {
-    return next(
-      new AppError('Invalid pagination parameters.', 400, httpStatusText.FAIL)
-    );
-  }
+  const pagination = parsePagination(req.query, { defaultLimit: 16 });
+  const sort = parseSort(req.query.sortBy, req.query.order, {
+    fields: { name: 'name', date: 'date', price: 'effectivePrice' },
+    defaultKey: 'date',
+    defaultOrder: 'desc',
+  });
 
-  const skip = (page - 1) * limit;
-  const sortFields = {
-    name: 'name',
-    date: 'date',
-    price: 'effectivePrice',
-  };
-  const sortField = sortFields[sortBy] || sortFields.date;
-  const sortOrder = order === 'asc' ? 1 : -1;
+  const filters = parseCatalogFilters(req.query);
 
-  const categoryFilter = {
-    deleted: false,
-    ...(categories && {
-      categories: {
-        $in: categories.split(',').map((id) => {
-          if (!mongoose.isValidObjectId(id.trim())) {
-            throw new AppError(
-              'Invalid Category ID format.',
-              400,
-              httpStatusText.FAIL
-            );
-          }
-          return new mongoose.Types.ObjectId(id.trim());
-        }),
+  const [result] = await Product.aggregate([
+    { $match: { deleted: false } },
+    { $addFields: { effectivePrice: calculateEffectivePrice() } },
+    {
+      $facet: {
+        products: [
+          matchFiltersExcept(filters),
+          ...paginationStages(pagination, sort),
+          ...productCardStages(),
+        ],
+        total: [matchFiltersExcept(filters), { $count: 'count' }],
+        ...facetStages(filters),
       },
-    }),
-  };
-
-  // Fetch min & max price dynamically if not provided
-  if (!minPrice || !maxPrice) {
-    const range = await getPriceRange();
-    minPrice = minPrice ?? range.minPrice;
-    maxPrice = maxPrice ?? range.maxPrice;
-  }
-
-  const priceFilter = {
-    effectivePrice: {
-      $gte: Number(minPrice),
-      $lte: Number(maxPrice),
     },
-  };
-
-  const combinedFilter = [
-    { $match: categoryFilter },
-    { $addFields: { effectivePrice: calculateEffectivePrice() } },
-    { $match: priceFilter },
-  ];
-
-  const [totalProducts, products] = await Promise.all([
-    getTotalProducts(combinedFilter),
-    getFilteredProducts(combinedFilter, sortField, sortOrder, skip, limit),
   ]);
 
+  const totalProducts = result.total[0]?.count || 0;
+  const { items: products, meta } = buildPage(result.products, {
+    pagination,
+    sort,
+    total: totalProducts,
+  });
+
   res.status(200).json({
     status: httpStatusText.SUCCESS,
-    data: { totalProducts, products },
+    meta,
+    data: {
+      totalProducts,
+      products,
+      facets: formatFacets(result),
+    },
   });
 });
 
@@ -132,14 +113,7 @@ const getAllProductsWithColors = asyncWrapper(async (req, res, next) => {
     }),
   };
 
-  const searchFilter = searchQuery
-    ? {
-        $or: [
-          { name: { $regex: searchQuery, $options: 'i' } },
-          { 'categories.name': { $regex: searchQuery, $options: 'i' } },
-        ],
-      }
-    : {};
+  const searchFilter = await searchService.buildTextFilter(searchQuery);
 
   // Fetch raw products first
   const products = await Product.find({ ...categoryFilter, ...searchFilter })
@@ -211,73 +185,257 @@ const getAllProductsWithColors = asyncWrapper(async (req, res, next) => {
   });
 });
 
-const getPriceRange = async () => {
-  const [result] = await Product.aggregate([
-    { $addFields: { effectivePrice: calculateEffectivePrice() } },
-    {
-      $group: {
-        _id: null,
-        minPrice: { $min: '$effectivePrice' },
-        maxPrice: { $max: '$effectivePrice' },
+const MATERIAL_FIELD = 'additionalInformation.materials.primaryMaterial';
+const DIMENSIONS = ['width', 'height', 'depth'];
+
+const parseList = (value) =>
+  (Array.isArray(value) ? value : String(value || '').split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+const parseBound = (value, name) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (isNaN(number)) {
+    throw new AppError(`'${name}' must be a number.`, 400, httpStatusText.FAIL);
+  }
+  return number;
+};
+
+const rangeCondition = (min, max) => {
+  const condition = {};
+  if (min !== undefined) condition.$gte = min;
+  if (max !== undefined) condition.$lte = max;
+  return Object.keys(condition).length ? condition : null;
+};
+
+// One $match condition per filter in the query, keyed by the facet it
+// narrows. Stages run after `effectivePrice` has been added.
+const IN_STOCK = { colors: { $elemMatch: { quantity: { $gt: 0 } } } };
+
+const parseCatalogFilters = (query) => {
+  const filters = {};
+
+  const categories = parseList(query.categories);
+  if (categories.length) {
+    filters.categories = {
+      categories: {
+        $in: categories.map((id) => {
+          if (!mongoose.isValidObjectId(id)) {
+            throw new AppError(
+              'Invalid Category ID format.',
+              400,
+              httpStatusText.FAIL
+            );
+          }
+          return new mongoose.Types.ObjectId(id);
+        }),
       },
-    },
-  ]);
-  return result || { minPrice: 0, maxPrice: 0 };
+    };
+  }
+
+  const price = rangeCondition(
+    parseBound(query.minPrice, 'minPrice'),
+    parseBound(query.maxPrice, 'maxPrice')
+  );
+  if (price) filters.price = { effectivePrice: price };
+
+  const colors = parseList(query.colors);
+  if (colors.length) {
+    filters.colors = { colors: { $elemMatch: { name: { $in: colors } } } };
+  }
+
+  const brands = parseList(query.brands);
+  if (brands.length) filters.brands = { brand: { $in: brands } };
+
+  const materials = parseList(query.materials);
+  if (materials.length) {
+    filters.materials = { [MATERIAL_FIELD]: { $in: materials } };
+  }
+
+  const dimensions = {};
+  for (const dimension of DIMENSIONS) {
+    const suffix = dimension[0].toUpperCase() + dimension.slice(1);
+    const range = rangeCondition(
+      parseBound(query[`min${suffix}`], `min${suffix}`),
+      parseBound(query[`max${suffix}`], `max${suffix}`)
+    );
+    if (range) {
+      dimensions[`additionalInformation.dimensions.${dimension}`] = range;
+    }
+  }
+  if (Object.keys(dimensions).length) filters.dimensions = dimensions;
+
+  if (query.inStock === 'true') filters.inStock = IN_STOCK;
+  if (query.onSale === 'true') filters.onSale = { sale: { $gt: 0 } };
+
+  return filters;
 };
 
-const getTotalProducts = async (filters) => {
-  const result = await Product.aggregate([...filters, { $count: 'total' }]);
-  return result[0]?.total || 0;
+// $match for every filter but `except`, so a facet can show what picking
+// another value of its own filter would give. Filters on color variants
+// are merged so they have to hold for the same variant: "red, in stock"
+// must not match a product whose only red is sold out.
+const matchFiltersExcept = (filters, except) => {
+  const conditions = [];
+  const variant = {};
+  for (const [name, condition] of Object.entries(filters)) {
+    if (name === except) continue;
+    if (condition.colors?.$elemMatch) {
+      Object.assign(variant, condition.colors.$elemMatch);
+    } else {
+      conditions.push(condition);
+    }
+  }
+  if (Object.keys(variant).length) {
+    conditions.push({ colors: { $elemMatch: variant } });
+  }
+  return { $match: conditions.length ? { $and: conditions } : {} };
 };
 
-const getFilteredProducts = async (
-  filters,
-  sortField,
-  sortOrder,
-  skip,
-  limit
-) => {
-  return await Product.aggregate([
-    ...filters,
-    { $sort: { [sortField]: sortOrder } },
-    { $skip: skip },
-    { $limit: limit },
+const countBy = (field) => [
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+];
+
+const facetStages = (filters) => ({
+  categories: [
+    matchFiltersExcept(filters, 'categories'),
+    { $unwind: '$categories' },
+    { $group: { _id: '$categories', count: { $sum: 1 } } },
     {
       $lookup: {
         from: 'categories',
-        localField: 'categories',
+        localField: '_id',
         foreignField: '_id',
-        as: 'categories',
+        as: 'category',
       },
     },
+    { $unwind: '$category' },
+    { $project: { _id: 1, name: '$category.name', count: 1 } },
+    { $sort: { count: -1, name: 1 } },
+  ],
+  colors: [
+    matchFiltersExcept(filters, 'colors'),
+    { $unwind: '$colors' },
+    ...(filters.inStock ? [{ $match: { 'colors.quantity': { $gt: 0 } } }] : []),
     {
-      $addFields: {
-        firstColor: { $arrayElemAt: ['$colors', 0] },
+      $group: {
+        _id: '$colors.name',
+        hex: { $first: '$colors.hex' },
+        products: { $addToSet: '$_id' },
       },
     },
+    { $project: { _id: 1, hex: 1, count: { $size: '$products' } } },
+    { $sort: { count: -1, _id: 1 } },
+  ],
+  brands: [matchFiltersExcept(filters, 'brands'), ...countBy('brand')],
+  materials: [
+    matchFiltersExcept(filters, 'materials'),
+    ...countBy(MATERIAL_FIELD),
+  ],
+  price: [
+    matchFiltersExcept(filters, 'price'),
     {
-      $project: {
-        _id: 1,
-        name: 1,
-        subtitle: 1,
-        image: { $arrayElemAt: ['$firstColor.images.url', 0] },
-        price: 1,
-        date: 1,
-        sale: 1,
-        quantity: '$firstColor.quantity',
-        effectivePrice: 1,
-        mainColor: '$firstColor.hex',
-        categories: {
-          $map: {
-            input: '$categories',
-            as: 'category',
-            in: { _id: '$$category._id', name: '$$category.name' },
+      $group: {
+        _id: null,
+        min: { $min: '$effectivePrice' },
+        max: { $max: '$effectivePrice' },
+      },
+    },
+  ],
+  dimensions: [
+    matchFiltersExcept(filters, 'dimensions'),
+    {
+      $group: DIMENSIONS.reduce(
+        (group, dimension) => ({
+          ...group,
+          [`${dimension}Min`]: {
+            $min: `$additionalInformation.dimensions.${dimension}`,
+          },
+          [`${dimension}Max`]: {
+            $max: `$additionalInformation.dimensions.${dimension}`,
           },
+        }),
+        { _id: null }
+      ),
+    },
+  ],
+  inStock: [
+    matchFiltersExcept({ ...filters, inStock: IN_STOCK }),
+    { $count: 'count' },
+  ],
+  onSale: [
+    matchFiltersExcept(filters, 'onSale'),
+    { $match: { sale: { $gt: 0 } } },
+    { $count: 'count' },
+  ],
+});
+
+const formatFacets = (result) => {
+  const values = (buckets) =>
+    buckets.map(({ _id, ...rest }) => ({ value: _id, ...rest }));
+  const price = result.price[0];
+  const dimensions = result.dimensions[0] || {};
+
+  return {
+    categories: values(result.categories),
+    colors: values(result.colors),
+    brands: values(result.brands),
+    materials: values(result.materials),
+    price: { min: price?.min ?? 0, max: price?.max ?? 0 },
+    dimensions: Object.fromEntries(
+      DIMENSIONS.map((dimension) => [
+        dimension,
+        {
+          min: dimensions[`${dimension}Min`] ?? null,
+          max: dimensions[`${dimension}Max`] ?? null,
+        },
+      ])
+    ),
+    inStock: result.inStock[0]?.count || 0,
+    onSale: result.onSale[0]?.count || 0,
+  };
+};
+
+// Card fields shown in product listings.
+const productCardStages = () => [
+  {
+    $lookup: {
+      from: 'categories',
+      localField: 'categories',
+      foreignField: '_id',
+      as: 'categories',
+    },
+  },
+  {
+    $addFields: {
+      firstColor: { $arrayElemAt: ['$colors', 0] },
+    },
+  },
+  {
+    $project: {
+      _id: 1,
+      name: 1,
+      subtitle: 1,
+      image: { $arrayElemAt: ['$firstColor.images.url', 0] },
+      price: 1,
+      date: 1,
+      sale: 1,
+      quantity: '$firstColor.quantity',
+      effectivePrice: 1,
+      mainColor: '$firstColor.hex',
+      categories: {
+        $map: {
+          input: '$categories',
+          as: 'category',
+          in: { _id: '$$category._id', name: '$$category.name' },
         },
       },
     },
-  ]);
-};
+  },
+];
 
 const calculateEffectivePrice = () => ({
   $cond: {
@@ -419,32 +577,36 @@ const getProductForComparison = asyncWrapper(async (req, res, next) => {
   });
 });
 
+// GET /products/search?q=&page=&limit=&categories=&autocomplete=
+// `query` is still accepted for older clients.
 const getSearchProducts = asyncWrapper(async (req, res, next) => {
-  const { query } = req.query;
-  if (!query) {
-    return next(
-      new AppError('Please enter a search keyword!', 400, httpStatusText.FAIL)
-    );
-  }
+  const { q, query, page, limit, categories, autocomplete } = req.query;
 
-  const categoryIds = await getCategoryIds(query);
+  const results = await searchService.searchProducts({
+    q: q ?? query,
+    page,
+    limit,
+    categories,
+    autocomplete: autocomplete !== 'false',
+  });
 
-  const products = await Product.find({
-    $or: [
-      { name: { $regex: query, $options: 'i' } },
-      { categories: { $in: categoryIds } },
-    ],
-  })
-    .populate('categories', 'name')
-    .lean();
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: results,
+  });
 
-  if (!products.length) {
-    return next(new AppError('No products found.', 404, httpStatusText.FAIL));
+  if (results.currentPage === 1) {
+    suggestionService.recordSearch(results.query, results.totalProducts);
   }
+});
+
+// GET /products/suggest?q=
+const getSuggestions = asyncWrapper(async (req, res, next) => {
+  const suggestions = await suggestionService.getSuggestions(req.query.q);
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
-    data: products,
+    data: suggestions,
   });
 });
 
@@ -505,14 +667,6 @@ const getProductMetrics = asyncWrapper(async (req, res) => {
   });
 });
 
-async function getCategoryIds(query) {
-  const categories = await require('../models/category.model')
-    .find({ name: { $regex: query, $options: 'i' } })
-    .select('_id')
-    .lean();
-  return categories.map((cat) => cat._id);
-}
-
 const deleteProduct = asyncWrapper(async (req, res, next) => {
   const { id } = req.params;
 
@@ -525,6 +679,7 @@ const deleteProduct = asyncWrapper(async (req, res, next) => {
   if (!product) {
     return next(new AppError('Product not found.', 404, httpStatusText.FAIL));
   }
+  searchService.invalidateVocabulary();
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -616,6 +771,8 @@ const createProduct = asyncWrapper(async (req, res, next) => {
     deleted: false,
     date: new Date(),
   });
+  await searchService.syncSearchFields({ _id: product._id });
+  await inventoryService.recordProductStock(product, null, req.user);
 
   res.status(201).json({
     status: httpStatusText.SUCCESS,
@@ -650,6 +807,7 @@ const updateProduct = asyncWrapper(async (req, res, next) => {
     ? categories
     : categories.split(',').map((id) => id.trim());
 
+  const before = await Product.findById(id).select('name colors').lean();
   const updated = await Product.findByIdAndUpdate(
     id,
     {
@@ -657,7 +815,7 @@ const updateProduct = asyncWrapper(async (req, res, next) => {
       subtitle,
       price,
       sale,
-      colors,
+      colors: inventoryService.withSkus(name, colors, before),
       categories: categoryArray.map((id) => new mongoose.Types.ObjectId(id)),
     },
     { new: true }
@@ -666,6 +824,8 @@ const updateProduct = asyncWrapper(async (req, res, next) => {
   if (!updated) {
     return next(new AppError('Product not found.', 404, httpStatusText.FAIL));
   }
+  await searchService.syncSearchFields({ _id: updated._id });
+  await inventoryService.recordProductStock(updated, before, req.user);
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -681,6 +841,7 @@ module.exports = {
   getMaxEffectivePrice,
   getProductForComparison,
   getSearchProducts,
+  getSuggestions,
   getProductMetrics,
   deleteProduct,
   createProduct,
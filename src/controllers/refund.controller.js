@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const refundService = require('../services/refund.service');
+
+// Admin - POST /orders/:id/refunds
+// Body: { items?: [{ itemId, quantity }], amount?, reason?, note? }
+const createRefund = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { items, amount, reason, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid order ID', 400, httpStatusText.FAIL));
+  }
+  if (items !== undefined && !Array.isArray(items)) {
+    return next(
+      new AppError("'items' must be an array", 400, httpStatusText.FAIL)
+    );
+  }
+
+  const { refund, order } = await refundService.createRefund(id, {
+    items,
+    amount,
+    reason,
+    note,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Refund issued successfully',
+    data: {
+      refund,
+      paymentStatus: order.paymentStatus,
+      refundedAmount: order.refundedAmount.toFixed(2),
+    },
+  });
+});
+
+// Admin - GET /orders/:id/refunds
+const getOrderRefunds = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid order ID', 400, httpStatusText.FAIL));
+  }
+
+  const refunds = await refundService.getOrderRefunds(id);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { refunds },
+  });
+});
+
+module.exports = {
+  createRefund,
+  getOrderRefunds,
+};
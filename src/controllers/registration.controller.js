@@ -7,6 +7,13 @@ const userValidation = require('../utils/userValidation');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
 const AppError = require('../utils/appError');
 const httpStatusText = require('../utils/httpStatusText');
+const sessionService = require('../services/session.service');
+const tokenRevocation = require('../services/tokenRevocation.service');
+const emailVerification = require('../services/emailVerification.service');
+const twoFactorService = require('../services/twoFactor.service');
+const accountLockout = require('../services/accountLockout.service');
+const { adminLoginRoles, frontendUrl } = require('../config/auth');
+const { redirects: oauthRedirects } = require('../config/oauth');
 
 // Helper: Token Generator
 const generateToken = (payload, expiresIn = null) => {
@@ -15,132 +22,6 @@ const generateToken = (payload, expiresIn = null) => {
   return jwt.sign(payload, process.env.JWT_SECRET, options);
 };
 
-const inviteAdmin = asyncWrapper(async (req, res, next) => {
-  console.log('[INVITE ADMIN] Request Body:', req.body);
-  const { email, role } = req.body;
-
-  const existingUser = await userModel.findOne({ email });
-  if (existingUser) {
-    console.warn('[INVITE ADMIN] Email already exists:', email);
-    return next(
-      new AppError(
-        'User with this email already exists.',
-        400,
-        httpStatusText.FAIL
-      )
-    );
-  }
-
-  const invitationToken = generateToken({ email }, '24h');
-  const invitationTokenExpiry = Date.now() + 24 * 60 * 60 * 1000;
-
-  // Generate username from email (part before the '@')
-  const generatedUsername = email.substring(0, email.indexOf('@'));
-  // Basic sanitization to remove non-alphanumeric characters
-  const sanitizedUsername = generatedUsername.replace(/[^a-zA-Z0-9]/g, '');
-  // Ensure username is at least 3 characters long (you might want more sophisticated logic)
-  const username =
-    sanitizedUsername.length >= 3
-      ? sanitizedUsername
-      : `user_${Date.now().toString().slice(-5)}`;
-
-  const newUser = new userModel({
-    email: email,
-    role: role,
-    status: 'pending',
-    invitationToken: invitationToken,
-    invitationTokenExpiry: invitationTokenExpiry,
-    username: username,
-  });
-
-  console.log('[INVITE ADMIN] newUser.username before save:', newUser.username);
-
-  await newUser.save();
-  console.log('[INVITE ADMIN] Pending admin user created:', email);
-
-  const invitationLink = `http://localhost:5173/reset-password?token=${invitationToken}`; // Your frontend reset password route
-  const mailOptions = {
-    from: process.env.EMAIL_USER,
-    to: email,
-    subject: 'Invitation to Join Our Team as an Admin',
-    html: `
-            <p>Hello!</p>
-            <p>You have been invited to join our team as an administrator with the role of <strong>${role}</strong>.</p>
-            <p>Please click the following link to set your password and activate your account:</p>
-            <p><a href="${invitationLink}">${invitationLink}</a></p>
-            <p>This invitation link will expire in 24 hours.</p>
-            <p>If you did not request this invitation, please ignore this email.</p>
-            <p>Best regards,<br>Furniro Team</p>
-        `,
-  };
-
-  transporter.sendMail(mailOptions, (error, info) => {
-    if (error) {
-      console.error('[EMAIL] Failed to send invitation email:', error);
-      return next(
-        new AppError(
-          'Error sending invitation email.',
-          500,
-          httpStatusText.ERROR
-        )
-      );
-    }
-    console.log('[EMAIL] Invitation email sent to:', email);
-    res
-      .status(200)
-      .json({
-        status: httpStatusText.SUCCESS,
-        message: 'Invitation sent successfully.',
-      });
-  });
-});
-
-// POST /reset-password (adjust to handle invitation tokens)
-// const resetPassword = asyncWrapper(async (req, res, next) => {
-//   const { token, password } = req.body;
-//   console.log('[RESET PASSWORD] Token received:', token);
-
-//   const user = await userModel
-//     .findOne({
-//       $or: [
-//         { resetToken: token },
-//         { invitationToken: token, status: 'pending' },
-//       ],
-//       $or: [
-//         { resetTokenExpiry: { $gt: Date.now() } },
-//         { invitationTokenExpiry: { $gt: Date.now() } },
-//       ],
-//     })
-//     .select(
-//       '+password +resetToken +resetTokenExpiry +invitationToken +invitationTokenExpiry'
-//     );
-
-//   if (!user) {
-//     console.warn('[RESET PASSWORD] Invalid or expired token.');
-//     return next(
-//       new AppError('Invalid or expired token.', 400, httpStatusText.FAIL)
-//     );
-//   }
-
-//   const salt = await bcrypt.genSalt(10);
-//   user.password = await bcrypt.hash(password, salt);
-//   user.resetToken = null;
-//   user.resetTokenExpiry = null;
-//   user.invitationToken = null;
-//   user.invitationTokenExpiry = null;
-//   user.status = 'active'; // Activate the user upon setting password
-
-//   await user.save();
-//   console.log('[RESET PASSWORD] Password reset for:', user.email);
-
-//   res
-//     .status(200)
-//     .json({
-//       status: httpStatusText.SUCCESS,
-//       message: 'Password reset successfully. Your account is now active.',
-//     });
-// });
-
 // POST /signup
 const signup = asyncWrapper(async (req, res, next) => {
   const userData = req.body;
@@ -163,42 +44,158 @@ const signup = asyncWrapper(async (req, res, next) => {
     );
   }
 
+  // Staff accounts are only created through invitations.
+  userData.role = 'USER';
+  userData.emailVerified = false;
+
   const salt = await bcrypt.genSalt(10);
   userData.password = await bcrypt.hash(userData.password, salt);
 
-  await userModel.create(userData);
+  const user = await userModel.create(userData);
   console.log('[SIGNUP] User created successfully:', userData.email);
 
+  // The account exists either way; a failed email can be resent.
+  try {
+    await emailVerification.sendVerificationEmail(user);
+  } catch (error) {
+    console.error('[EMAIL] Failed to send verification email:', error);
+  }
+
   res.status(201).json({
     status: httpStatusText.SUCCESS,
-    message: 'User signed up successfully',
+    message:
+      'User signed up successfully. Check your inbox to verify your email.',
   });
 });
 
-// POST /login
-const login = asyncWrapper(async (req, res, next) => {
-  const { email, password } = req.body;
-  console.log('[LOGIN] Attempted login with email:', email);
+// POST /verify-email  { token }
+const verifyEmail = asyncWrapper(async (req, res, next) => {
+  await emailVerification.verifyEmail(req.body.token);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Email verified successfully.',
+    data: null,
+  });
+});
+
+// POST /verify-email/resend
+const resendVerificationEmail = asyncWrapper(async (req, res, next) => {
+  await emailVerification.resendVerificationEmail(req.user._id);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Verification email sent.',
+    data: null,
+  });
+});
+
+// POST /confirm-email-change  { token }
+const confirmEmailChange = asyncWrapper(async (req, res, next) => {
+  const result = await emailVerification.confirmEmailChange(req.body.token);
 
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: result.completed
+      ? 'Email changed successfully. Please log in again.'
+      : 'Confirmation received. Please also confirm from the other address.',
+    data: result,
+  });
+});
+
+// Helper: look up a user by email and check their password
+const checkCredentials = async (email, password, req) => {
   const user = await userModel.findOne({ email });
-  if (!user) {
+  if (!user || user.isDeleted || !user.password) {
     console.warn('[LOGIN] Email not found:', email);
-    return next(
-      new AppError('Invalid email or password.', 400, httpStatusText.FAIL)
-    );
+    throw new AppError('Invalid email or password.', 400, httpStatusText.FAIL);
   }
 
+  accountLockout.assertNotLocked(user);
+  await accountLockout.checkCaptcha(user, req);
+
   const isPasswordValid = await bcrypt.compare(password, user.password);
   if (!isPasswordValid) {
     console.warn('[LOGIN] Invalid password for:', email);
-    return next(
-      new AppError('Invalid email or password.', 400, httpStatusText.FAIL)
-    );
+    await accountLockout.recordFailedLogin(user, req);
+    throw new AppError('Invalid email or password.', 400, httpStatusText.FAIL);
   }
+  return user;
+};
 
-  if (user.role !== 'OWNER' && user.role !== 'ADMIN') {
+// Helper: answer a login that still needs a second factor with a
+// challenge token for /2fa/challenge (or /2fa/challenge/setup).
+const sendChallenge = (user, requirement, res) => {
+  console.log(
+    `[LOGIN] Second factor (${requirement}) pending for:`,
+    user.email
+  );
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message:
+      requirement === 'setup'
+        ? 'Two-factor authentication must be set up to continue'
+        : 'Two-factor authentication required',
+    data: {
+      twoFactorRequired: true,
+      setupRequired: requirement === 'setup',
+      challengeToken: twoFactorService.createChallenge(user, requirement),
+    },
+  });
+};
+
+// Helper: open a session for the device and send back its tokens. When
+// the account needs a second factor, a challenge token is sent instead.
+const startSession = async (
+  user,
+  req,
+  res,
+  { secondFactorPassed = false, extra = {} } = {}
+) => {
+  if (!secondFactorPassed) {
+    const requirement = await twoFactorService.loginRequirement(user);
+    if (requirement) return sendChallenge(user, requirement, res);
+  }
+
+  await userModel.findByIdAndUpdate(
+    user._id,
+    { status: 'active' },
+    { new: true }
+  );
+  await accountLockout.recordSuccessfulLogin(user);
+
+  const { accessToken, refreshToken } = await sessionService.createSession(
+    user,
+    req
+  );
+
+  console.log('[LOGIN] User logged in:', user.email);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Logged in successfully',
+    data: { token: accessToken, refreshToken, ...extra },
+  });
+};
+
+// POST /login
+const login = asyncWrapper(async (req, res, next) => {
+  const { email, password } = req.body;
+  console.log('[LOGIN] Attempted login with email:', email);
+
+  const user = await checkCredentials(email, password, req);
+  await startSession(user, req, res);
+});
+
+// POST /admin/login
+const adminLogin = asyncWrapper(async (req, res, next) => {
+  const { email, password } = req.body;
+  console.log('[ADMIN LOGIN] Attempted login with email:', email);
+
+  const user = await checkCredentials(email, password, req);
+  if (!adminLoginRoles.includes(user.role)) {
     console.warn(
-      `[LOGIN] User ${email} has role ${user.role}, which is not allowed to log in.`
+      `[ADMIN LOGIN] User ${email} has role ${user.role}, which is not allowed to log in.`
     );
     return next(
       new AppError(
@@ -211,46 +208,105 @@ const login = asyncWrapper(async (req, res, next) => {
       )
     );
   }
-  await userModel.findByIdAndUpdate(
-    user._id,
-    { status: 'active' },
-    { new: true }
-  );
 
-  const token = generateToken({
-    _id: user._id,
-    email: user.email,
-    username: user.username,
-    role: user.role,
-    thumbnail: user.thumbnail,
-  });
+  await startSession(user, req, res);
+});
+
+// POST /2fa/challenge/setup  { challengeToken }
+// Starts enrollment for staff who must set up 2FA before logging in.
+const startChallengeSetup = asyncWrapper(async (req, res, next) => {
+  const challenge = twoFactorService.readChallenge(req.body.challengeToken);
+  if (!challenge.setup) {
+    return next(
+      new AppError(
+        'Two-factor authentication is already set up',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
 
-  console.log('[LOGIN] User logged in:', email);
+  const enrollment = await twoFactorService.beginEnrollment(challenge._id);
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
-    message: 'Logged in successfully',
-    data: { token },
+    data: enrollment,
   });
 });
 
-// GET /auth/google/callback
-const google = (req, res) => {
-  console.log('[GOOGLE AUTH] Google login callback for:', req.user.email);
+// POST /2fa/challenge  { challengeToken, code | recoveryCode }
+const completeChallenge = asyncWrapper(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+  const challenge = twoFactorService.readChallenge(challengeToken);
+  const user = await userModel.findById(challenge._id);
+  if (!user) {
+    return next(new AppError('User not found', 404, httpStatusText.NOT_FOUND));
+  }
+  accountLockout.assertNotLocked(user);
+
+  // Wrong codes count towards the lockout like wrong passwords.
+  const extra = {};
+  try {
+    if (challenge.setup) {
+      extra.recoveryCodes = await twoFactorService.confirmEnrollment(
+        user._id,
+        code
+      );
+    } else {
+      await twoFactorService.verifySecondFactor(user._id, {
+        code,
+        recoveryCode,
+      });
+    }
+  } catch (error) {
+    if (error.statusCode === 401) {
+      await accountLockout.recordFailedLogin(user, req);
+    }
+    throw error;
+  }
+
+  await startSession(user, req, res, { secondFactorPassed: true, extra });
+});
+
+// GET /auth/:provider/redirect  (after oauth.middleware#finishOAuth)
+const oauthCallback = asyncWrapper(async (req, res, next) => {
+  const { provider, linkCode } = req.authInfo;
+  console.log(`[OAUTH] ${provider} callback for:`, req.user.email);
 
-  const token = generateToken({
-    _id: req.user._id,
-    email: req.user.email,
-    username: req.user.username,
-    role: req.user.role,
-    thumbnail: req.user.thumbnail,
+  // The logged-in profile page confirms the link with this code.
+  if (linkCode) {
+    return res.redirect(
+      `${oauthRedirects.link}?provider=${provider}&linkCode=${linkCode}`
+    );
+  }
+
+  // URLs end up in history, logs and Referer headers, so the browser only
+  // gets a short-lived code to trade at POST /auth/oauth/token: for tokens,
+  // or for a 2FA challenge when the account needs a second factor.
+  const requirement = await twoFactorService.loginRequirement(req.user);
+  if (!requirement) {
+    await userModel.updateOne({ _id: req.user._id }, { status: 'active' });
+  }
+  const code = await sessionService.createLoginCode(req.user, req, {
+    challenge: requirement || undefined,
   });
 
-  console.log('[GOOGLE AUTH] Redirecting with token');
-  res.redirect(
-    `https://furniture-ecommerce-frontend.vercel.app/auth/login?token=${token}`
-  );
-};
+  console.log('[OAUTH] Redirecting with login code');
+  res.redirect(`${oauthRedirects.success}?code=${code}`);
+});
+
+// POST /auth/oauth/token  { code }
+const redeemOAuthCode = asyncWrapper(async (req, res, next) => {
+  const { user, challenge, accessToken, refreshToken } =
+    await sessionService.redeemLoginCode(req.body.code, req);
+  if (challenge) return sendChallenge(user, challenge, res);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Logged in successfully',
+    data: { token: accessToken, refreshToken },
+  });
+});
 
 // POST /forgot-password
 const forgotPassword = asyncWrapper(async (req, res, next) => {
@@ -275,9 +331,7 @@ const forgotPassword = asyncWrapper(async (req, res, next) => {
 
   await user.save();
 
-  const resetLink = `https://furniture-ecommerce-frontend.vercel.app/auth/reset-password?token=${user.resetToken}`;
-
-  // const resetLink = `http://localhost:5173/reset-password?token=${user.resetToken}`;
+  const resetLink = `${frontendUrl}/auth/reset-password?token=${user.resetToken}`;
   const mailOptions = {
     from: process.env.EMAIL_USER,
     to: user.email,
@@ -320,6 +374,11 @@ const resetPassword = asyncWrapper(async (req, res, next) => {
   user.resetTokenExpiry = null;
 
   await user.save();
+  // Anyone holding the old password may still have a session open.
+  await tokenRevocation.revokeUserTokens(user._id, 'password reset');
+  await sessionService.revokeAllSessions(user._id, {
+    reason: 'password reset',
+  });
 
   console.log('[RESET PASSWORD] Password reset for:', user.email);
 
@@ -341,6 +400,11 @@ const logout = asyncWrapper(async (req, res, next) => {
     const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
     const userId = decodedToken._id;
 
+    await tokenRevocation.revokeToken(decodedToken, 'logout');
+    if (decodedToken.sid) {
+      await sessionService.revokeSession(userId, decodedToken.sid);
+    }
+
     const updatedUser = await userModel.findByIdAndUpdate(
       userId,
       { status: 'inactive' },
@@ -356,8 +420,7 @@ const logout = asyncWrapper(async (req, res, next) => {
 
     res.status(200).json({
       status: httpStatusText.SUCCESS,
-      message:
-        'Logged out successfully. User status set to inactive.  Remember to invalidate JWT!',
+      message: 'Logged out successfully. User status set to inactive.',
       data: null,
     });
   } catch (error) {
@@ -371,9 +434,15 @@ const logout = asyncWrapper(async (req, res, next) => {
 module.exports = {
   signup,
   login,
-  google,
+  adminLogin,
+  startChallengeSetup,
+  completeChallenge,
+  verifyEmail,
+  resendVerificationEmail,
+  confirmEmailChange,
+  oauthCallback,
+  redeemOAuthCode,
   forgotPassword,
   resetPassword,
   logout,
-  inviteAdmin,
 };
@@ -0,0 +1,470 @@
+const mongoose = require('mongoose');
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const Order = require('../models/order.model');
+const ReturnRequest = require('../models/returnRequest.model');
+const Counter = require('../models/counter.model');
+const StoreSettings = require('../models/settings/storeSettings.model');
+const inventoryService = require('../services/inventory.service');
+const refundService = require('../services/refund.service');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// RMA status -> statuses an admin may move it to.
+const RMA_TRANSITIONS = {
+  Requested: ['Approved', 'Rejected'],
+  Approved: ['Received', 'Rejected'],
+  Received: ['Refunded'],
+  Rejected: [],
+  Refunded: [],
+};
+
+// Helper: record a status change on a return request (not saved)
+const moveReturn = (returnRequest, to, actor, note) => {
+  const from = returnRequest.status;
+  if (!RMA_TRANSITIONS[from].includes(to)) {
+    throw new AppError(
+      `Cannot move return from ${from} to ${to}`,
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  returnRequest.status = to;
+  returnRequest.history.push({
+    from,
+    to,
+    actor: actor._id,
+    actorRole: actor.role,
+    note,
+  });
+};
+
+// Helper: next RMA number of an order (A1000-R1, A1000-R2, ...). Orders
+// with returns from before the counter existed start from their count.
+const nextRmaNumber = async (order) => {
+  const key = `rma:${order._id}`;
+  if (!(await Counter.exists({ _id: key }))) {
+    const existing = await ReturnRequest.countDocuments({
+      orderId: order._id,
+    });
+    try {
+      await Counter.create({ _id: key, seq: existing });
+    } catch (error) {
+      // Another request created it first.
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await Counter.findOneAndUpdate(
+    { _id: key },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return `${order.orderNumber}-R${counter.seq}`;
+};
+
+const getDeliveredAt = (order) => {
+  const delivered = [...order.statusHistory]
+    .reverse()
+    .find((entry) => entry.to === 'Delivered');
+  return delivered ? delivered.at : order.updatedAt;
+};
+
+// POST /orders/:id/returns
+const requestReturn = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  const { items, note } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid order ID', 400, httpStatusText.FAIL));
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    return next(
+      new AppError(
+        'Select at least one item to return',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const order = await Order.findOne({ _id: id, userId: req.user._id });
+  if (!order) {
+    return next(new AppError('Order not found', 404, httpStatusText.NOT_FOUND));
+  }
+  if (order.status !== 'Delivered') {
+    return next(
+      new AppError(
+        'Only delivered orders can be returned',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const storeSettings = (await StoreSettings.findOne().lean()) || {};
+  const windowDays = storeSettings.returnWindowDays ?? 14;
+  const deadline = new Date(
+    getDeliveredAt(order).getTime() + windowDays * DAY_MS
+  );
+  if (Date.now() > deadline.getTime()) {
+    return next(
+      new AppError(
+        `The ${windowDays}-day return window for this order has closed`,
+        400,
+        httpStatusText.FAIL,
+        { deadline }
+      )
+    );
+  }
+
+  // Quantities already claimed by open or completed returns on this order.
+  const previousReturns = await ReturnRequest.find({
+    orderId: order._id,
+    status: { $ne: 'Rejected' },
+  }).lean();
+  const alreadyReturned = {};
+  for (const previous of previousReturns) {
+    for (const line of previous.items) {
+      const key = line.orderItemId.toString();
+      alreadyReturned[key] = (alreadyReturned[key] || 0) + line.quantity;
+    }
+  }
+
+  const lines = [];
+  for (const item of items) {
+    const orderItem = mongoose.Types.ObjectId.isValid(item.itemId)
+      ? order.orderItems.id(item.itemId)
+      : null;
+    if (!orderItem) {
+      return next(
+        new AppError(
+          `Item ${item.itemId} is not part of this order`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
+    }
+
+    const quantity = Number(item.quantity);
+    const returnable =
+      orderItem.quantity - (alreadyReturned[orderItem._id.toString()] || 0);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > returnable) {
+      return next(
+        new AppError(
+          `Invalid return quantity for ${orderItem.name}`,
+          400,
+          httpStatusText.FAIL,
+          { itemId: orderItem._id, requested: item.quantity, returnable }
+        )
+      );
+    }
+
+    if (!ReturnRequest.REASONS.includes(item.reason)) {
+      return next(
+        new AppError(
+          `Invalid return reason. Allowed values: ${ReturnRequest.REASONS.join(
+            ', '
+          )}`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
+    }
+
+    lines.push({
+      orderItemId: orderItem._id,
+      productId: orderItem.id,
+      name: orderItem.name,
+      sku: orderItem.sku,
+      color: orderItem.color,
+      unitPrice: orderItem.price,
+      quantity,
+      reason: item.reason,
+      note: item.note,
+    });
+  }
+
+  const returnRequest = await ReturnRequest.create({
+    rmaNumber: await nextRmaNumber(order),
+    orderId: order._id,
+    userId: req.user._id,
+    items: lines,
+    note,
+    history: [
+      {
+        from: null,
+        to: 'Requested',
+        actor: req.user._id,
+        actorRole: req.user.role,
+        note,
+      },
+    ],
+  });
+
+  console.log(
+    `[RETURNS] ${returnRequest.rmaNumber} requested for order ${order.orderNumber}`
+  );
+  res.status(201).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Return requested successfully',
+    data: { returnRequest },
+  });
+});
+
+// GET /returns/mine
+const getUserReturns = asyncWrapper(async (req, res, next) => {
+  const returns = await ReturnRequest.find({ userId: req.user._id })
+    .populate({ path: 'orderId', select: 'orderNumber' })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { returns },
+  });
+});
+
+// Admin - GET /returns
+const getReturnQueue = asyncWrapper(async (req, res, next) => {
+  let { limit = 10, page = 1, status } = req.query;
+  limit = parseInt(limit);
+  page = parseInt(page);
+
+  if (isNaN(limit) || isNaN(page) || limit <= 0 || page <= 0) {
+    return next(
+      new AppError(
+        "Invalid pagination parameters. 'limit' and 'page' must be positive numbers.",
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const filter = {};
+  if (status) {
+    filter.status = { $in: Array.isArray(status) ? status : status.split(',') };
+  }
+
+  const [returns, totalReturns] = await Promise.all([
+    ReturnRequest.find(filter)
+      .populate({ path: 'orderId', select: 'orderNumber paymentMethod' })
+      .populate({ path: 'userId', select: 'username email' })
+      .sort({ createdAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    ReturnRequest.countDocuments(filter),
+  ]);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: {
+      returns,
+      totalReturns,
+      currentPage: page,
+      totalPages: Math.ceil(totalReturns / limit),
+    },
+  });
+});
+
+// Helper: load a return request by the :id route param
+const findReturn = async (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new AppError('Invalid return ID', 400, httpStatusText.FAIL);
+  }
+  const returnRequest = await ReturnRequest.findById(id);
+  if (!returnRequest) {
+    throw new AppError('Return not found', 404, httpStatusText.NOT_FOUND);
+  }
+  return returnRequest;
+};
+
+// Admin - GET /returns/:id
+const getReturnDetails = asyncWrapper(async (req, res, next) => {
+  const returnRequest = await findReturn(req.params.id);
+  await returnRequest.populate([
+    { path: 'orderId', select: 'orderNumber status paymentMethod totalAmount' },
+    { path: 'userId', select: 'username email' },
+  ]);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { returnRequest },
+  });
+});
+
+// Admin - PATCH /returns/:id/approve
+const approveReturn = asyncWrapper(async (req, res, next) => {
+  const returnRequest = await findReturn(req.params.id);
+  moveReturn(returnRequest, 'Approved', req.user, req.body.note);
+  await returnRequest.save();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Return approved',
+    data: { returnRequest },
+  });
+});
+
+// Admin - PATCH /returns/:id/reject
+const rejectReturn = asyncWrapper(async (req, res, next) => {
+  const { note } = req.body;
+  if (!note) {
+    return next(
+      new AppError(
+        'A note explaining the rejection is required',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const returnRequest = await findReturn(req.params.id);
+  moveReturn(returnRequest, 'Rejected', req.user, note);
+  await returnRequest.save();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Return rejected',
+    data: { returnRequest },
+  });
+});
+
+// Admin - PATCH /returns/:id/receive
+// Body may list what actually arrived ({ items: [{ itemId, quantity }] }),
+// and lines it leaves out count as not received; without a list every
+// requested unit is taken as received.
+const receiveReturn = asyncWrapper(async (req, res, next) => {
+  const returnRequest = await findReturn(req.params.id);
+  const received = req.body.items;
+
+  for (const line of returnRequest.items) {
+    const entry = Array.isArray(received)
+      ? received.find(
+          (item) =>
+            item.itemId === line._id.toString() ||
+            item.itemId === line.orderItemId.toString()
+        )
+      : null;
+    let quantity = Array.isArray(received) ? 0 : line.quantity;
+    if (entry) quantity = Number(entry.quantity);
+    if (
+      !Number.isInteger(quantity) ||
+      quantity < 0 ||
+      quantity > line.quantity
+    ) {
+      return next(
+        new AppError(
+          `Invalid received quantity for ${line.name}`,
+          400,
+          httpStatusText.FAIL
+        )
+      );
+    }
+    line.receivedQuantity = quantity;
+  }
+
+  moveReturn(returnRequest, 'Received', req.user, req.body.note);
+
+  const refundAmount = returnRequest.items.reduce(
+    (acc, line) => acc + line.unitPrice * line.receivedQuantity,
+    0
+  );
+  returnRequest.refund = {
+    amount: Math.round(refundAmount * 100) / 100,
+    status: 'pending',
+    requestedAt: new Date(),
+  };
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await inventoryService.restockItems(
+        returnRequest.items.map((line) => ({
+          id: line.productId,
+          sku: line.sku,
+          color: line.color,
+          quantity: line.receivedQuantity,
+        })),
+        session,
+        {
+          type: 'return',
+          orderId: returnRequest.orderId,
+          returnRequestId: returnRequest._id,
+          actor: req.user,
+          reason: `Return ${returnRequest.rmaNumber} received`,
+        }
+      );
+      await returnRequest.save({ session });
+    });
+  } finally {
+    session.endSession();
+  }
+
+  console.log(
+    `[RETURNS] ${returnRequest.rmaNumber} received, refund of ${returnRequest.refund.amount} pending`
+  );
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Return received and stock updated',
+    data: { returnRequest },
+  });
+});
+
+// Admin - PATCH /returns/:id/refund
+// Refunds what was received; `amount` may lower it (e.g. damaged goods).
+const refundReturn = asyncWrapper(async (req, res, next) => {
+  const returnRequest = await findReturn(req.params.id);
+  if (returnRequest.status !== 'Received') {
+    return next(
+      new AppError(
+        'Only received returns can be refunded',
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const items = returnRequest.items
+    .filter((line) => line.receivedQuantity > 0)
+    .map((line) => ({
+      itemId: line.orderItemId.toString(),
+      quantity: line.receivedQuantity,
+    }));
+
+  const { refund } = await refundService.createRefund(returnRequest.orderId, {
+    items,
+    amount: req.body.amount ?? returnRequest.refund?.amount,
+    reason: 'return',
+    note: `${returnRequest.rmaNumber}${
+      req.body.note ? `: ${req.body.note}` : ''
+    }`,
+    actor: req.user,
+    returnRequestId: returnRequest._id,
+  });
+
+  moveReturn(returnRequest, 'Refunded', req.user, req.body.note);
+  returnRequest.refund.amount = refund.amount;
+  returnRequest.refund.status = 'issued';
+  returnRequest.refund.refundId = refund._id;
+  await returnRequest.save();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Return refunded',
+    data: { returnRequest, refund },
+  });
+});
+
+module.exports = {
+  requestReturn,
+  getUserReturns,
+  getReturnQueue,
+  getReturnDetails,
+  approveReturn,
+  rejectReturn,
+  receiveReturn,
+  refundReturn,
+};
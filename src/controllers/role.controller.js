@@ -0,0 +1,56 @@
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const permissionService = require('../services/permission.service');
+const { PERMISSIONS } = require('../config/permissions');
+
+// Current permissions of the :role param, for the audit log diff.
+const snapshotRole = async (role) => ({
+  permissions: await permissionService.getRolePermissions(
+    String(role).toUpperCase()
+  ),
+});
+
+// GET /admin/v1/roles
+const getRoles = asyncWrapper(async (req, res, next) => {
+  const roles = await permissionService.getPermissionMatrix();
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { roles, permissions: PERMISSIONS },
+  });
+});
+
+// PUT /admin/v1/roles/:role  { permissions: [...] }
+const updateRolePermissions = asyncWrapper(async (req, res, next) => {
+  const role = req.params.role.toUpperCase();
+  const entry = await permissionService.setRolePermissions(
+    role,
+    req.body.permissions,
+    req.user
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: `Permissions for ${role} updated successfully`,
+    data: { role, permissions: entry.permissions },
+  });
+});
+
+// DELETE /admin/v1/roles/:role  (back to the built-in defaults)
+const resetRolePermissions = asyncWrapper(async (req, res, next) => {
+  const role = req.params.role.toUpperCase();
+  const permissions = await permissionService.resetRolePermissions(role);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: `Permissions for ${role} reset to defaults`,
+    data: { role, permissions },
+  });
+});
+
+module.exports = {
+  getRoles,
+  updateRolePermissions,
+  resetRolePermissions,
+  snapshotRole,
+};
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const sessionService = require('../services/session.service');
+
+// POST /auth/refresh  { refreshToken }
+const refresh = asyncWrapper(async (req, res, next) => {
+  const { accessToken, refreshToken } = await sessionService.rotateSession(
+    req.body.refreshToken,
+    req
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { token: accessToken, refreshToken },
+  });
+});
+
+// GET /auth/sessions
+const getSessions = asyncWrapper(async (req, res, next) => {
+  const sessions = await sessionService.listSessions(req.user._id);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: {
+      sessions: sessions.map((session) => ({
+        ...session,
+        current: String(session._id) === String(req.user.sid),
+      })),
+    },
+  });
+});
+
+// DELETE /auth/sessions/:id
+const revokeSession = asyncWrapper(async (req, res, next) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new AppError('Invalid session ID', 400, httpStatusText.FAIL));
+  }
+
+  const session = await sessionService.revokeSession(
+    req.user._id,
+    id,
+    'revoked by user'
+  );
+  if (!session) {
+    return next(
+      new AppError('Session not found', 404, httpStatusText.NOT_FOUND)
+    );
+  }
+
+  console.log(`[SESSION] User ${req.user._id} revoked session ${id}`);
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Session revoked successfully',
+    data: null,
+  });
+});
+
+// DELETE /auth/sessions  (every session except the current one)
+const revokeOtherSessions = asyncWrapper(async (req, res, next) => {
+  const revoked = await sessionService.revokeAllSessions(req.user._id, {
+    exceptId: req.user.sid,
+  });
+
+  console.log(`[SESSION] User ${req.user._id} revoked ${revoked} sessions`);
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Other sessions revoked successfully',
+    data: { revoked },
+  });
+});
+
+module.exports = {
+  refresh,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+};
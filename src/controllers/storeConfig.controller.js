@@ -5,12 +5,27 @@ const Currency = require('../models/settings/currency.model');
 const Language = require('../models/settings/language.model');
 const ShippingMethod = require('../models/settings/shippingMethod.model');
 const StoreSettings = require('../models/settings/storeSettings.model'); 
+const TaxRule = require('../models/settings/taxRule.model');
+
+// Everything updateStoreConfig can change, for the audit log diff.
+const snapshotStoreConfig = async () => {
+  const omit = '-createdAt -updatedAt -__v';
+  const [storeSettings, currencies, languages, shippingMethods, taxRules] = await Promise.all([
+    StoreSettings.findOne().select(omit).lean(),
+    Currency.find({ deletedAt: null }).select(omit).lean(),
+    Language.find({ deletedAt: null }).select(omit).lean(),
+    ShippingMethod.find({ deletedAt: null }).select(omit).lean(),
+    TaxRule.find({ deletedAt: null }).select(omit).lean(),
+  ]);
+  return { settings: storeSettings, currencies, languages, shippingMethods, taxRules };
+};
 
 const getStoreConfig = asyncWrapper(async (req, res, next) => {
   const storeSettings = await StoreSettings.findOne() || {}; 
   const currencies = await Currency.find({ deletedAt: null, isActive: true });
   const languages = await Language.find({ deletedAt: null, isActive: true });
   const shippingMethods = await ShippingMethod.find({ deletedAt: null, isActive: true });
+  const taxRules = await TaxRule.find({ deletedAt: null });
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -18,18 +33,21 @@ const getStoreConfig = asyncWrapper(async (req, res, next) => {
       storeName: storeSettings.storeName || '',
       defaultCurrency: storeSettings.defaultCurrency || 'USD',
       defaultLanguage: storeSettings.defaultLanguage || 'en',
+      returnWindowDays: storeSettings.returnWindowDays ?? 14,
+      requireStaffTwoFactor: storeSettings.requireStaffTwoFactor || false,
       supportedCurrencies: currencies,
       supportedLanguages: languages,
       shippingMethods: shippingMethods,
+      taxRules: taxRules,
     },
   });
 });
 
 const updateStoreConfig = asyncWrapper(async (req, res, next) => {
-  const { storeName, defaultCurrency, defaultLanguage, supportedCurrencies, supportedLanguages, shippingMethods } = req.body;
+  const { storeName, defaultCurrency, defaultLanguage, returnWindowDays, requireStaffTwoFactor, supportedCurrencies, supportedLanguages, shippingMethods, taxRules } = req.body;
 
 
-  await StoreSettings.findOneAndUpdate({}, { storeName, defaultCurrency, defaultLanguage }, { upsert: true });
+  await StoreSettings.findOneAndUpdate({}, { storeName, defaultCurrency, defaultLanguage, returnWindowDays, requireStaffTwoFactor }, { upsert: true, runValidators: true });
 
 
   if (supportedCurrencies && Array.isArray(supportedCurrencies)) {
@@ -70,20 +88,39 @@ const updateStoreConfig = asyncWrapper(async (req, res, next) => {
 
  
   if (shippingMethods && Array.isArray(shippingMethods)) {
+    const receivedMethodIds = [];
     for (const methodData of shippingMethods) {
       if (methodData._id) {
-        await ShippingMethod.findByIdAndUpdate(methodData._id, methodData, { new: true });
+        await ShippingMethod.findByIdAndUpdate(methodData._id, methodData, { new: true, runValidators: true });
+        receivedMethodIds.push(methodData._id);
       } else {
-        await ShippingMethod.create(methodData);
+        const method = await ShippingMethod.create(methodData);
+        receivedMethodIds.push(method._id);
       }
     }
-    const receivedMethodIds = shippingMethods.map(m => m._id).filter(Boolean);
     await ShippingMethod.updateMany(
       { _id: { $nin: receivedMethodIds }, deletedAt: null },
       { $set: { deletedAt: new Date(), isActive: false } }
     );
   }
 
+  if (taxRules && Array.isArray(taxRules)) {
+    const receivedRuleIds = [];
+    for (const ruleData of taxRules) {
+      if (ruleData._id) {
+        await TaxRule.findByIdAndUpdate(ruleData._id, ruleData, { new: true, runValidators: true });
+        receivedRuleIds.push(ruleData._id);
+      } else {
+        const rule = await TaxRule.create(ruleData);
+        receivedRuleIds.push(rule._id);
+      }
+    }
+    await TaxRule.updateMany(
+      { _id: { $nin: receivedRuleIds }, deletedAt: null },
+      { $set: { deletedAt: new Date(), isActive: false } }
+    );
+  }
+
   res.status(200).json({
     status: httpStatusText.SUCCESS,
     message: 'Store configuration updated successfully',
@@ -93,4 +130,5 @@ const updateStoreConfig = asyncWrapper(async (req, res, next) => {
 module.exports = {
   getStoreConfig,
   updateStoreConfig,
+  snapshotStoreConfig,
 };
\ No newline at end of file
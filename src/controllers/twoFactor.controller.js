@@ -0,0 +1,62 @@
+const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const httpStatusText = require('../utils/httpStatusText');
+const twoFactorService = require('../services/twoFactor.service');
+
+// POST /auth/2fa/setup
+const startSetup = asyncWrapper(async (req, res, next) => {
+  const enrollment = await twoFactorService.beginEnrollment(req.user._id);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message:
+      'Scan the QR code with your authenticator app, then confirm a code',
+    data: enrollment,
+  });
+});
+
+// POST /auth/2fa/setup/confirm  { code }
+const confirmSetup = asyncWrapper(async (req, res, next) => {
+  const recoveryCodes = await twoFactorService.confirmEnrollment(
+    req.user._id,
+    req.body.code
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message:
+      'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+    data: { recoveryCodes },
+  });
+});
+
+// POST /auth/2fa/recovery-codes  { code }
+const regenerateRecoveryCodes = asyncWrapper(async (req, res, next) => {
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(
+    req.user._id,
+    req.body.code
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'New recovery codes generated. The old ones no longer work.',
+    data: { recoveryCodes },
+  });
+});
+
+// DELETE /auth/2fa  { code }
+const disable = asyncWrapper(async (req, res, next) => {
+  await twoFactorService.disableTwoFactor(req.user._id, req.body.code);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Two-factor authentication disabled',
+    data: null,
+  });
+});
+
+module.exports = {
+  startSetup,
+  confirmSetup,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -4,6 +4,19 @@ const AppError = require('../utils/appError');
 const User = require('../models/user.model');
 const Order = require('../models/order.model');
 const asyncWrapper = require('../middlewares/asyncWrapper.middleware');
+const {
+  parsePagination,
+  parseSort,
+  paginateQuery,
+  buildPage,
+} = require('../utils/pagination');
+const sessionService = require('../services/session.service');
+const tokenRevocation = require('../services/tokenRevocation.service');
+const permissionService = require('../services/permission.service');
+const emailVerification = require('../services/emailVerification.service');
+const oauthService = require('../services/oauth.service');
+const privacyService = require('../services/privacy.service');
+const { providers } = require('../config/oauth');
 const bcrypt = require('bcrypt');
 const cloudinary = require('cloudinary').v2;
 
@@ -14,21 +27,13 @@ cloudinary.config({
 });
 
 const getAllUsers = asyncWrapper(async (req, res, next) => {
-  let { limit = 10, page = 1, search = '', role = '' } = req.query;
-  console.log('query', limit, page, search);
-  limit = Math.max(1, limit);
-  page = Math.max(1, page);
-  if (isNaN(limit) || isNaN(page)) {
-    return next(
-      new AppError(
-        "Invalid pagination parameters. 'limit' and 'page' must be positive numbers.",
-        400,
-        httpStatusText.FAIL
-      )
-    );
-  }
-
-  const skip = (page - 1) * limit;
+  const { search = '', role = '' } = req.query;
+  const pagination = parsePagination(req.query);
+  const sort = parseSort(req.query.sortBy, req.query.order, {
+    fields: { createdAt: 'createdAt', username: 'username' },
+    defaultKey: 'createdAt',
+    defaultOrder: 'desc',
+  });
   const searchFilter = search
     ? {
         username: { $regex: search, $options: 'i' },
@@ -38,13 +43,14 @@ const getAllUsers = asyncWrapper(async (req, res, next) => {
     : { isDeleted: false, role: role };
   const totalUsers = await User.countDocuments(searchFilter);
   console.log('totalUsers', totalUsers);
-  const users = await User.find(searchFilter)
-    .select(
-      '_id username email favourites role thumbnail createdAt gender phone'
-    )
-    .limit(limit)
-    .skip(skip)
-    .lean();
+  const { items: users, meta } = buildPage(
+    await paginateQuery(User.find(searchFilter), pagination, sort)
+      .select(
+        '_id username email favourites role thumbnail createdAt gender phone'
+      )
+      .lean(),
+    { pagination, sort, total: totalUsers }
+  );
   const usersWithOrders = await Order.distinct('userId');
   const totalUsersWithOrders = usersWithOrders.length;
   const now = new Date();
@@ -66,6 +72,7 @@ const getAllUsers = asyncWrapper(async (req, res, next) => {
   console.log('usersWithOrders', totalUsersWithOrders);
   res.status(200).json({
     status: httpStatusText.SUCCESS,
+    meta,
     data: { totalUsers, users, newCustomers, totalUsersWithOrders },
   });
 });
@@ -163,9 +170,138 @@ const changePassword = asyncWrapper(async (req, res, next) => {
   user.password = await bcrypt.hash(password, salt);
 
   await user.save();
+
+  // Sign out every other device; this one gets a token for the new version.
+  user.tokenVersion = await tokenRevocation.revokeUserTokens(
+    userId,
+    'password change'
+  );
+  await sessionService.revokeAllSessions(userId, {
+    exceptId: req.user.sid,
+    reason: 'password change',
+  });
+  const token = sessionService.issueAccessToken(user, { _id: req.user.sid });
+
   res.status(200).json({
     status: httpStatusText.SUCCESS,
     message: 'Password changed successfully',
+    data: { token },
+  });
+});
+
+// POST /users/profile/change-email  { email }
+const changeEmail = asyncWrapper(async (req, res, next) => {
+  await emailVerification.requestEmailChange(req.user._id, req.body.email);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message:
+      'Confirmation emails sent to your current and new addresses. Your email changes once both are confirmed.',
+    data: null,
+  });
+});
+
+// GET /users/profile/identities
+const getIdentities = asyncWrapper(async (req, res, next) => {
+  const identities = await oauthService.listIdentities(req.user._id);
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { identities },
+  });
+});
+
+// POST /users/profile/identities/:provider/link
+// Returns the URL the browser should open to link the provider account.
+const linkIdentity = asyncWrapper(async (req, res, next) => {
+  const { provider } = req.params;
+  if (!providers[provider]) {
+    return next(
+      new AppError(
+        `Unknown provider. Allowed values: ${Object.keys(providers).join(
+          ', '
+        )}`,
+        400,
+        httpStatusText.FAIL
+      )
+    );
+  }
+
+  const linkToken = oauthService.createLinkToken(req.user._id, provider);
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    data: { url: `/auth/${provider}?link=${linkToken}` },
+  });
+});
+
+// POST /users/profile/identities/:provider/link/confirm  { linkCode }
+// Finishes a link with the code the provider callback sent the browser to
+// the profile page with.
+const confirmIdentityLink = asyncWrapper(async (req, res, next) => {
+  const { provider } = req.params;
+  const { linkCode } = req.body;
+  if (!linkCode || typeof linkCode !== 'string') {
+    return next(
+      new AppError('Link code is required.', 400, httpStatusText.FAIL)
+    );
+  }
+
+  const user = await oauthService.linkAccount(req.user._id, provider, linkCode);
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: `${provider} account linked`,
+    data: { identities: user.identities },
+  });
+});
+
+// DELETE /users/profile/identities/:provider
+const unlinkIdentity = asyncWrapper(async (req, res, next) => {
+  const identities = await oauthService.unlinkIdentity(
+    req.user._id,
+    req.params.provider
+  );
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: `${req.params.provider} account unlinked`,
+    data: { identities },
+  });
+});
+
+// GET /users/me/export?format=json|zip
+const exportMyData = asyncWrapper(async (req, res, next) => {
+  const { filename, contentType, body } =
+    await privacyService.createExportBundle(
+      req.user._id,
+      req.query.format || 'json'
+    );
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.status(200).send(body);
+});
+
+// POST /users/me/erase  { password }
+const requestErasure = asyncWrapper(async (req, res, next) => {
+  const erasure = await privacyService.requestErasure(req.user._id, {
+    password: req.body.password,
+    req,
+  });
+
+  res.status(202).json({
+    status: httpStatusText.SUCCESS,
+    message: `Your account will be erased on ${erasure.scheduledFor.toDateString()}. You can cancel until then.`,
+    data: { erasure },
+  });
+});
+
+// DELETE /users/me/erase
+const cancelErasure = asyncWrapper(async (req, res, next) => {
+  await privacyService.cancelErasure(req.user._id, { req });
+
+  res.status(200).json({
+    status: httpStatusText.SUCCESS,
+    message: 'Account erasure cancelled',
     data: null,
   });
 });
@@ -189,6 +325,10 @@ const deleteUser = asyncWrapper(async (req, res, next) => {
       )
     );
   }
+  await tokenRevocation.revokeUserTokens(userId, 'account deleted');
+  await sessionService.revokeAllSessions(userId, {
+    reason: 'account deleted',
+  });
   res.status(200).json({
     status: httpStatusText.SUCCESS,
     message: 'User deleted successfully.',
@@ -231,15 +371,30 @@ const editUser = asyncWrapper(async (req, res, next) => {
       );
     }
   }
-  const user = await User.findOneAndUpdate(
+  const previous = await User.findById(userId).select('role');
+  if (!previous) {
+    return next(new AppError('User not found', 404, httpStatusText.NOT_FOUND));
+  }
+  if (role !== undefined) {
+    await permissionService.assertCanAssignRole(
+      req.user.role,
+      previous.role,
+      role
+    );
+  }
+
+  await User.updateOne(
     { _id: userId },
     { $set: updates },
-    { new: true, runValidators: true }
-  ).select('username email favourites role');
-
-  if (!user) {
-    return next(new AppError('User not found', 404, httpStatusText.NOT_FOUND));
+    { runValidators: true }
+  );
+  // Access tokens carry the role, so old ones must stop working.
+  if (role !== undefined && role !== previous.role) {
+    await tokenRevocation.revokeUserTokens(userId, 'role change');
   }
+  const user = await User.findById(userId).select(
+    'username email favourites role'
+  );
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -388,17 +543,27 @@ const editAdminUser = asyncWrapper(async (req, res, next) => {
     return next(new AppError('Invalid User ID', 400, httpStatusText.FAIL));
   }
 
-  const updatedUser = await User.findByIdAndUpdate(
-    userId,
-    { role },
-    { new: true, runValidators: true }
-  ).select('_id username email role status');
-
-  if (!updatedUser) {
+  const previous = await User.findById(userId).select('role');
+  if (!previous) {
     return next(
       new AppError('Admin user not found.', 404, httpStatusText.NOT_FOUND)
     );
   }
+  if (role !== undefined) {
+    await permissionService.assertCanAssignRole(
+      req.user.role,
+      previous.role,
+      role
+    );
+  }
+
+  await User.updateOne({ _id: userId }, { role }, { runValidators: true });
+  if (role !== undefined && previous.role !== role) {
+    await tokenRevocation.revokeUserTokens(userId, 'role change');
+  }
+  const updatedUser = await User.findById(userId).select(
+    '_id username email role status'
+  );
 
   res.status(200).json({ status: httpStatusText.SUCCESS, data: updatedUser });
 });
@@ -421,6 +586,10 @@ const deleteAdminUser = asyncWrapper(async (req, res, next) => {
       new AppError('Admin user not found.', 404, httpStatusText.NOT_FOUND)
     );
   }
+  await tokenRevocation.revokeUserTokens(userId, 'admin deleted');
+  await sessionService.revokeAllSessions(userId, {
+    reason: 'admin deleted',
+  });
 
   res.status(200).json({
     status: httpStatusText.SUCCESS,
@@ -437,6 +606,14 @@ module.exports = {
   toggleFavourite,
   getFavourites,
   changePassword,
+  changeEmail,
+  getIdentities,
+  linkIdentity,
+  confirmIdentityLink,
+  unlinkIdentity,
+  exportMyData,
+  requestErasure,
+  cancelErasure,
   changeIMG,
   updateProfile,
   getAllAdminUsers,
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const { recordAudit } = require('../services/audit.service');
+
+// Pulls the id of a newly created document out of a JSON response such as
+// { data: { product: {...} } } or { data: {...} }.
+const createdId = (body) => {
+  const data = body?.data;
+  if (!data || typeof data !== 'object') return undefined;
+  if (data._id) return data._id;
+  return Object.values(data).find((value) => value?._id)?._id;
+};
+
+const loadDocument = (targetType, id, fields) => {
+  const Model = mongoose.models[targetType];
+  if (!Model || !mongoose.Types.ObjectId.isValid(id)) return null;
+  return Model.findById(id).select(fields).lean();
+};
+
+// Records a privileged action once it has succeeded. The target document
+// (`targetType` is its model name) is read before and after the handler
+// runs so the entry carries a diff, limited to `fields` when given;
+// `snapshot(targetId, req)` replaces that lookup for targets that are not a
+// single document. Use after verifyToken.
+module.exports = (
+  action,
+  { targetType, param = 'id', fields, snapshot } = {}
+) => {
+  const takeSnapshot = (id, req) =>
+    snapshot
+      ? snapshot(id, req)
+      : id
+      ? loadDocument(targetType, id, fields)
+      : null;
+
+  return async (req, res, next) => {
+    let before;
+    try {
+      before = await takeSnapshot(req.params[param], req);
+    } catch (error) {
+      return next(error);
+    }
+
+    let responseBody;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return json(body);
+    };
+
+    res.on('finish', () => {
+      if (res.statusCode >= 400) return;
+      const targetId = req.params[param] || createdId(responseBody);
+
+      Promise.resolve(takeSnapshot(targetId, req))
+        .then((after) =>
+          recordAudit(action, {
+            actor: req.user,
+            target: targetId,
+            targetType,
+            req,
+            before,
+            after,
+            metadata: req.body,
+          })
+        )
+        .catch((error) =>
+          console.error(`[AUDIT] Failed to record ${action}:`, error.message)
+        );
+    });
+
+    next();
+  };
+};
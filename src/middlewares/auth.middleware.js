@@ -1,6 +1,7 @@
 const jwt = require("jsonwebtoken");
 const AppError = require("../utils/appError");
 const httpStatusText = require("../utils/httpStatusText");
+const tokenRevocation = require("../services/tokenRevocation.service");
 
 const verifyToken = (req, res, next) => {
   const authHeader =
@@ -9,13 +10,30 @@ const verifyToken = (req, res, next) => {
     return next(new AppError("Token is required", 401, httpStatusText.ERROR));
   }
   const token = authHeader.split(" ")[1];
+  let decodedToken;
   try {
-    const decodedToken = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decodedToken;
-    next();
+    decodedToken = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
     return next(new AppError("Invalid Token", 401, httpStatusText.ERROR));
   }
+
+  tokenRevocation
+    .isRevoked(decodedToken)
+    .then((revoked) => {
+      if (revoked) {
+        return next(
+          new AppError(
+            "This token has been revoked. Please log in again.",
+            401,
+            httpStatusText.ERROR
+          )
+        );
+      }
+      req.user = decodedToken;
+      req.token = token;
+      next();
+    })
+    .catch(next);
 };
 
 module.exports = verifyToken;
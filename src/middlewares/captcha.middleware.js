@@ -0,0 +1,10 @@
+const captchaService = require('../services/captcha.service');
+
+// Requires a valid `captchaToken` in the body when a CAPTCHA provider is
+// configured; does nothing otherwise.
+module.exports = (req, res, next) => {
+  captchaService
+    .verifyCaptcha(req.body?.captchaToken, req.ip)
+    .then(() => next())
+    .catch(next);
+};
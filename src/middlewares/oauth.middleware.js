@@ -0,0 +1,49 @@
+const passport = require('passport');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const { redirects } = require('../config/oauth');
+
+const isConfigured = (provider) => Boolean(passport._strategy(provider));
+
+// GET /auth/:provider  (?link=<token> to link to the logged-in user)
+const startOAuth = (provider) => (req, res, next) => {
+  if (!isConfigured(provider)) {
+    return next(
+      new AppError(
+        `${provider} login is not available`,
+        404,
+        httpStatusText.NOT_FOUND
+      )
+    );
+  }
+  passport.authenticate(provider, {
+    session: false,
+    state: req.query.link,
+  })(req, res, next);
+};
+
+// GET /auth/:provider/redirect. Failures go back to the frontend with an
+// `error` message instead of a JSON error page.
+const finishOAuth = (provider) => (req, res, next) => {
+  if (!isConfigured(provider)) {
+    return res.redirect(`${redirects.failure}?error=unavailable`);
+  }
+  passport.authenticate(provider, { session: false }, (err, user, info) => {
+    if (err || !user) {
+      console.warn(`[OAUTH] ${provider} login failed:`, err?.message || info);
+      const target = req.query.state ? redirects.link : redirects.failure;
+      // Only our own errors are meant for users; provider errors are not.
+      const message =
+        err instanceof AppError ? err.message : 'Authentication failed';
+      return res.redirect(`${target}?error=${encodeURIComponent(message)}`);
+    }
+    req.user = user;
+    req.authInfo = { ...info, provider };
+    next();
+  })(req, res, next);
+};
+
+module.exports = {
+  startOAuth,
+  finishOAuth,
+};
@@ -1,6 +1,9 @@
 const passport = require("passport");
 const GoogleStrategy = require("passport-google-oauth20");
+const GitHubStrategy = require("passport-github2");
 const User = require("../models/user.model");
+const oauthService = require("../services/oauth.service");
+const { providers } = require("../config/oauth");
 
 passport.serializeUser((user, done) => {
   done(null, user.id);
@@ -12,37 +15,59 @@ passport.deserializeUser((id, done) => {
   });
 });
 
-passport.use(
-  new GoogleStrategy(
-    {
-      // options for the google strategy
-      clientID: process.env.GOOGLE_CLIENT_ID,
-      clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-      callbackURL: "/auth/google/redirect",
-      scope: ["profile", "email"],
-    },
-    (accessToken, refreshToken, profile, done) => {
-      // passport callback function
-      console.log("passport callback function fired");
-      console.log(profile);
-      User.findOne({ googleId: profile.id }).then((currentUser) => {
-        if (currentUser) {
-          console.log("user is: " + currentUser);
-          done(null, currentUser);
-        } else {
-          new User({
-            username: profile.displayName,
-            googleId: profile.id,
-            email: profile.emails[0].value,
-            thumbnail: profile._json.picture,
-          })
-            .save()
-            .then((newUser) => {
-              console.log("new user created: " + newUser);
-              done(null, newUser);
-            });
+// Turns each provider's profile into { subject, email, emailVerified, name, photo }.
+const normalizers = {
+  google: (profile) => ({
+    subject: profile.id,
+    email: profile.emails?.[0]?.value,
+    emailVerified: profile.emails?.[0]?.verified === true,
+    name: profile.displayName,
+    photo: profile._json?.picture,
+  }),
+  github: (profile) => {
+    const email =
+      profile.emails?.find((entry) => entry.primary) || profile.emails?.[0];
+    return {
+      subject: String(profile.id),
+      email: email?.value,
+      emailVerified: email?.verified === true,
+      name: profile.displayName || profile.username,
+      photo: profile.photos?.[0]?.value,
+    };
+  },
+};
+
+// Every provider goes through the same verify callback: prepare a link to
+// the user named in `state` when present, otherwise log in or sign up.
+const register = (name, Strategy, extraOptions = {}) => {
+  const options = providers[name];
+  if (!options.clientID) {
+    console.warn(`[OAUTH] ${name} login disabled: no client id configured`);
+    return;
+  }
+
+  passport.use(
+    name,
+    new Strategy(
+      { ...options, ...extraOptions, passReqToCallback: true },
+      (req, accessToken, refreshToken, profile, done) => {
+        const identity = normalizers[name](profile);
+        const linkToken = req.query.state;
+        if (linkToken) {
+          return oauthService
+            .prepareLink(name, identity, linkToken)
+            .then(({ user, linkCode }) => done(null, user, { linkCode }))
+            .catch(done);
         }
-      });
-    }
-  )
-);
+
+        oauthService
+          .loginWithProvider(name, identity)
+          .then((user) => done(null, user))
+          .catch(done);
+      }
+    )
+  );
+};
+
+register("google", GoogleStrategy);
+register("github", GitHubStrategy, { allRawEmails: true });
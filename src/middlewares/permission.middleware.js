@@ -0,0 +1,26 @@
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const permissionService = require('../services/permission.service');
+
+// Successor to allowTo: checks what the user's role is allowed to do
+// instead of naming roles. Use after verifyToken.
+module.exports = (...permissions) => {
+  return (req, res, next) => {
+    permissionService
+      .hasPermissions(req.user.role, permissions)
+      .then((allowed) => {
+        if (!allowed) {
+          return next(
+            new AppError(
+              "You don't have permission to perform this action",
+              403,
+              httpStatusText.ERROR,
+              { required: permissions }
+            )
+          );
+        }
+        next();
+      })
+      .catch(next);
+  };
+};
@@ -0,0 +1,55 @@
+const rateLimit = require('express-rate-limit');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const MongoRateLimitStore = require('../utils/mongoRateLimitStore');
+const { store, limits } = require('../config/rateLimit');
+
+const accountKey = (req) =>
+  String(req.body?.email || '')
+    .trim()
+    .toLowerCase();
+
+// Builds the limiter for one of the named limits in config/rateLimit.js.
+// Account limits fall back to the IP when the request names no account.
+const createLimiter = (name) => {
+  const { windowMs, max, by } = limits[name];
+
+  return rateLimit({
+    windowMs,
+    limit: max,
+    standardHeaders: 'draft-7',
+    legacyHeaders: false,
+    store:
+      store === 'mongo'
+        ? new MongoRateLimitStore({ prefix: `${name}:` })
+        : undefined,
+    keyGenerator: (req) =>
+      by === 'account' && accountKey(req)
+        ? `account:${accountKey(req)}`
+        : `ip:${req.ip}`,
+    handler: (req, res, next, options) => {
+      const resetTime = req.rateLimit?.resetTime;
+      console.warn(`[RATE LIMIT] ${name} exceeded by ${req.ip}`);
+      next(
+        new AppError(
+          'Too many requests, please try again later.',
+          options.statusCode,
+          httpStatusText.FAIL,
+          {
+            retryAfterSeconds: resetTime
+              ? Math.max(Math.ceil((resetTime - Date.now()) / 1000), 0)
+              : Math.ceil(windowMs / 1000),
+          }
+        )
+      );
+    },
+  });
+};
+
+// One limiter per name, so routes sharing a limit share its counters.
+const limiters = new Map();
+
+module.exports = (name) => {
+  if (!limiters.has(name)) limiters.set(name, createLimiter(name));
+  return limiters.get(name);
+};
@@ -0,0 +1,23 @@
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const User = require('../models/user.model');
+
+// Blocks accounts that have not confirmed their email yet. Use after
+// verifyToken. Matching on `false` lets older accounts without the flag in.
+module.exports = (req, res, next) => {
+  User.exists({ _id: req.user._id, emailVerified: false })
+    .then((unverified) => {
+      if (unverified) {
+        return next(
+          new AppError(
+            'Please verify your email address before checking out',
+            403,
+            httpStatusText.FAIL,
+            { reason: 'email_not_verified' }
+          )
+        );
+      }
+      next();
+    })
+    .catch(next);
+};
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// Security-relevant events: who did what, to what, and from where.
+// `changes` lists the fields a privileged action modified.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true, index: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', index: true },
+    actorRole: { type: String },
+    targetType: { type: String, index: true },
+    // A string so non-ObjectId targets (e.g. a role name) fit too.
+    targetId: { type: String, index: true },
+    changes: [
+      {
+        _id: false,
+        field: { type: String },
+        before: { type: mongoose.Schema.Types.Mixed },
+        after: { type: mongoose.Schema.Types.Mixed },
+      },
+    ],
+    ip: { type: String },
+    userAgent: { type: String },
+    metadata: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -23,6 +23,10 @@ const CartSchema = new mongoose.Schema(
       },
     ],
     totalPrice: { type: Number, default: 0 },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+    },
   },
   { timestamps: true }
 );
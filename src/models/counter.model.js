@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Named sequences, bumped with an atomic $inc so concurrent requests never
+// get the same number (e.g. `rma:<orderId>` numbers the returns of an order).
+const CounterSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true },
+    seq: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Counter', CounterSchema);
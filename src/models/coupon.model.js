@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+const CouponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+    },
+    description: { type: String },
+    type: {
+      type: String,
+      enum: ['percentage', 'fixed', 'free_shipping'],
+      required: true,
+    },
+    // Percent off for `percentage`, currency amount for `fixed`.
+    value: { type: Number, default: 0, min: 0 },
+    minSubtotal: { type: Number, default: 0, min: 0 },
+    // Empty scopes mean the whole cart qualifies.
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+    products: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Product' }],
+    usageLimit: { type: Number, default: null, min: 1 },
+    perUserLimit: { type: Number, default: 1, min: 1 },
+    usedCount: { type: Number, default: 0 },
+    startsAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, default: null },
+    isActive: { type: Boolean, default: true },
+    deletedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+CouponSchema.pre('validate', function (next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('A percentage coupon cannot exceed 100'));
+  }
+  if (this.expiresAt && this.startsAt && this.expiresAt <= this.startsAt) {
+    return next(new Error('expiresAt must be after startsAt'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('Coupon', CouponSchema);
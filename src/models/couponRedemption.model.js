@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// How often a user has redeemed a coupon. Checkout bumps it inside the
+// order transaction, so two checkouts of the same user and coupon write the
+// same document and cannot both get past the per-user limit.
+const CouponRedemptionSchema = new mongoose.Schema(
+  {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+      required: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    count: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+CouponRedemptionSchema.index({ couponId: 1, userId: 1 }, { unique: true });
+
+module.exports = mongoose.model('CouponRedemption', CouponRedemptionSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = [
+  'initial',
+  'sale',
+  'cancel_restock',
+  'return',
+  'adjustment',
+  'stocktake',
+];
+
+// One change to the stock of a color variant. Entries are only ever
+// added; `balanceAfter` is the variant's quantity right after the change.
+const InventoryMovementSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    sku: { type: String, required: true },
+    color: {
+      name: { type: String },
+      hex: { type: String },
+    },
+    type: { type: String, enum: MOVEMENT_TYPES, required: true },
+    // Signed: negative when stock left the shelf.
+    quantity: { type: Number, required: true },
+    balanceAfter: { type: Number, required: true, min: 0 },
+    reason: { type: String },
+    note: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    actorRole: { type: String },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    returnRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest',
+    },
+  },
+  { timestamps: true }
+);
+
+InventoryMovementSchema.index({ sku: 1, createdAt: -1, _id: -1 });
+InventoryMovementSchema.index({ orderId: 1 });
+
+InventoryMovementSchema.statics.TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('InventoryMovement', InventoryMovementSchema);
@@ -21,6 +21,8 @@ const OrderSchema = new mongoose.Schema(
           name: { type: String, required: true },
           hex: { type: String, required: true },
         },
+        sku: { type: String },
+        refundedQuantity: { type: Number, default: 0 },
       },
     ],
     shippingAddress: {
@@ -33,20 +35,65 @@ const OrderSchema = new mongoose.Schema(
       address: { type: String, required: true },
       city: { type: String, required: true },
       // province: {type: String, required: true},
+      region: { type: String },
       zipCode: { type: String, required: true },
       country: { type: String, required: true },
     },
+    subtotal: { type: Number },
+    shipping: {
+      methodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ShippingMethod',
+      },
+      name: { type: String },
+      weight: { type: Number },
+      cost: { type: Number, default: 0 },
+    },
+    coupon: {
+      couponId: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+      code: { type: String },
+      type: { type: String },
+      discount: { type: Number },
+    },
+    discountAmount: { type: Number, default: 0 },
+    taxLines: [
+      {
+        ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'TaxRule' },
+        name: { type: String, required: true },
+        rate: { type: Number, required: true },
+        inclusive: { type: Boolean, default: false },
+        taxableAmount: { type: Number, required: true },
+        amount: { type: Number, required: true },
+      },
+    ],
+    taxAmount: { type: Number, default: 0 },
     totalAmount: { type: Number, required: true },
+    refundedAmount: { type: Number, default: 0 },
     status: {
       type: String,
       enum: ['Pending', 'Processing', 'Shipped', 'Delivered', 'Cancelled'],
       default: 'Pending',
     },
+    statusHistory: [
+      {
+        from: { type: String },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        actorRole: { type: String },
+        note: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
     paymentMethod: {
       type: String,
-      enum: ['cod', 'bank', 'Direct Bank Transfer', 'Cash on Delivery'],
+      enum: ['cod', 'bank', 'card', 'Direct Bank Transfer', 'Cash on Delivery'],
       required: true,
     },
+    paymentStatus: {
+      type: String,
+      enum: ['pending', 'paid', 'failed', 'refunded', 'partially_refunded'],
+      default: 'pending',
+    },
     orderNumber: { type: String, unique: true },
 
     transactionId: { type: String },
@@ -87,4 +134,15 @@ OrderSchema.pre('save', async function (next) {
   next();
 });
 
+// A payment can settle one order only. Orders without a payment may hold
+// null or '' from before checkout stopped storing them, so only real ids
+// are indexed.
+OrderSchema.index(
+  { transactionId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { transactionId: { $type: 'string', $gt: '' } },
+  }
+);
+
 module.exports = mongoose.model('Order', OrderSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Every Stripe webhook event we receive, keyed by Stripe's event id so a
+// redelivered event is recognised and not applied twice.
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    eventId: { type: String, required: true, unique: true },
+    type: { type: String, required: true },
+    paymentIntentId: { type: String, index: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+    status: {
+      type: String,
+      enum: ['received', 'processed', 'ignored', 'failed'],
+      default: 'received',
+    },
+    error: { type: String },
+    stripeCreatedAt: { type: Date },
+    processedAt: { type: Date },
+    payload: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('PaymentEvent', PaymentEventSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { weights: searchWeights } = require('../config/search');
 const ALLOWED_COLORS = [
   { name: 'Black', hex: '#000000' },
   { name: 'White', hex: '#FFFFFF' },
@@ -113,11 +114,28 @@ const ProductSchema = new mongoose.Schema(
         domesticWarranty: { type: String },
       },
     },
+    // Copies kept in sync by search.service: the category names so the
+    // text index can cover them, and the lowercased name words for the
+    // prefix lookups behind search suggestions.
+    categoryNames: [{ type: String }],
+    nameTokens: [{ type: String }],
     deleted: { type: Boolean, default: false },
   },
   { timestamps: true }
 );
 
+ProductSchema.index(
+  {
+    name: 'text',
+    subtitle: 'text',
+    description: 'text',
+    brand: 'text',
+    categoryNames: 'text',
+  },
+  { name: 'product_search', weights: searchWeights }
+);
+ProductSchema.index({ nameTokens: 1 });
+
 ProductSchema.pre('save', function (next) {
   this.colors.forEach((color) => {
     const colorInfo = ALLOWED_COLORS.find((c) => c.name === color.name);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+
+// Hit counters for the Mongo rate-limit store; expired windows are
+// removed by the TTL index.
+const RateLimitHitSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  hits: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true },
+});
+
+RateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', RateLimitHitSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const RefundSchema = new mongoose.Schema(
+  {
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    returnRequestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest',
+    },
+    items: [
+      {
+        orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        amount: { type: Number, required: true },
+      },
+    ],
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: 'USD' },
+    // Card orders are refunded through Stripe; cod/bank refunds are paid out
+    // by hand and only recorded here.
+    method: { type: String, enum: ['stripe', 'manual'], required: true },
+    status: {
+      type: String,
+      enum: ['pending', 'succeeded', 'failed'],
+      default: 'pending',
+    },
+    stripeRefundId: { type: String, unique: true, sparse: true },
+    failureReason: { type: String },
+    reason: { type: String },
+    note: { type: String },
+    issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('Refund', RefundSchema);
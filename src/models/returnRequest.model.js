@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const RETURN_REASONS = [
+  'damaged',
+  'defective',
+  'wrong_item',
+  'not_as_described',
+  'changed_mind',
+  'other',
+];
+
+const ReturnRequestSchema = new mongoose.Schema(
+  {
+    rmaNumber: { type: String, unique: true },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    items: [
+      {
+        orderItemId: { type: mongoose.Schema.Types.ObjectId, required: true },
+        productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+        name: { type: String },
+        sku: { type: String },
+        color: {
+          name: { type: String },
+          hex: { type: String },
+        },
+        unitPrice: { type: Number, required: true },
+        quantity: { type: Number, required: true, min: 1 },
+        receivedQuantity: { type: Number, default: 0 },
+        reason: { type: String, enum: RETURN_REASONS, required: true },
+        note: { type: String },
+      },
+    ],
+    note: { type: String },
+    status: {
+      type: String,
+      enum: ['Requested', 'Approved', 'Rejected', 'Received', 'Refunded'],
+      default: 'Requested',
+    },
+    history: [
+      {
+        from: { type: String },
+        to: { type: String, required: true },
+        actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        actorRole: { type: String },
+        note: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    // Filled in once goods are received; the refund itself is issued separately.
+    refund: {
+      amount: { type: Number },
+      status: { type: String, enum: ['pending', 'issued'] },
+      requestedAt: { type: Date },
+      refundId: { type: mongoose.Schema.Types.ObjectId, ref: 'Refund' },
+    },
+  },
+  { timestamps: true }
+);
+
+ReturnRequestSchema.statics.REASONS = RETURN_REASONS;
+
+module.exports = mongoose.model('ReturnRequest', ReturnRequestSchema);
@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Access tokens revoked before they expired. Entries only need to live as
+// long as the token would have, so Mongo drops them at `expiresAt`.
+const RevokedTokenSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,13 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS, ROLES } = require('../config/permissions');
+
+const RolePermissionSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ROLES, required: true, unique: true },
+    permissions: [{ type: String, enum: PERMISSIONS }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('RolePermission', RolePermissionSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+// Searches run on the storefront, counted per normalized query and day.
+// Feeds the popular-searches report and search suggestions.
+const SearchQuerySchema = new mongoose.Schema(
+  {
+    query: { type: String, required: true },
+    day: { type: Date, required: true },
+    count: { type: Number, default: 0 },
+    zeroResultCount: { type: Number, default: 0 },
+    lastResultCount: { type: Number, default: 0 },
+    lastSearchedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+SearchQuerySchema.index({ query: 1, day: 1 }, { unique: true });
+SearchQuerySchema.index({ day: 1 });
+
+module.exports = mongoose.model('SearchQuery', SearchQuerySchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One logged-in device. Only hashes of refresh tokens are stored; the
+// previous hash is kept so a replayed (already rotated) token can be spotted.
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    refreshTokenHash: { type: String, required: true, unique: true },
+    previousTokenHash: { type: String, index: true },
+    userAgent: { type: String },
+    ip: { type: String },
+    deviceName: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+    // Set while a social login waits for its code to be traded for the
+    // first tokens (see sessionService.redeemLoginCode).
+    loginCodeHash: { type: String, index: { unique: true, sparse: true } },
+    // Set when that login still needs a second factor: the code then only
+    // buys a 2FA challenge, never tokens.
+    loginChallenge: { type: String, enum: ['verify', 'setup'] },
+  },
+  { timestamps: true }
+);
+
+// Let Mongo clean up sessions once they can no longer be refreshed.
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
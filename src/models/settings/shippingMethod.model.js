@@ -2,7 +2,18 @@ const mongoose = require('mongoose');
 const ShippingMethodSchema = new mongoose.Schema({
   name: { type: String, required: true },
   cost: { type: Number, required: true },
+  // Cost by destination country; wins over weight tiers and the base cost.
+  countryRates: [{
+    country: { type: String, required: true, trim: true },
+    cost: { type: Number, required: true, min: 0 },
+  }],
+  // Cost by total cart weight: the first tier whose maxWeight covers the
+  // cart applies, the heaviest tier beyond that. Wins over the base cost.
+  weightTiers: [{
+    maxWeight: { type: Number, required: true, min: 0 },
+    cost: { type: Number, required: true, min: 0 },
+  }],
   isActive: { type: Boolean, default: true },
   deletedAt: { type: Date, default: null },
 }, { timestamps: true });
-module.exports = mongoose.model('ShippingMethod', ShippingMethodSchema);
\ No newline at end of file
+module.exports = mongoose.model('ShippingMethod', ShippingMethodSchema);
@@ -3,5 +3,7 @@ const StoreSettingsSchema = new mongoose.Schema({
   storeName: { type: String, default: '' },
   defaultCurrency: { type: String, default: 'USD' },
   defaultLanguage: { type: String, default: 'en' },
+  returnWindowDays: { type: Number, default: 14, min: 0 },
+  requireStaffTwoFactor: { type: Boolean, default: false },
 }, { timestamps: true });
 module.exports = mongoose.model('StoreSettings', StoreSettingsSchema);
\ No newline at end of file
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+const TaxRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  country: { type: String, required: true, trim: true },
+  // Optional narrowing; a rule without them covers the whole country.
+  region: { type: String, trim: true, default: null },
+  zipPrefix: { type: String, trim: true, default: null },
+  rate: { type: Number, required: true, min: 0, max: 100 },
+  // Inclusive rates are already part of the price; exclusive ones are added.
+  inclusive: { type: Boolean, default: false },
+  appliesToShipping: { type: Boolean, default: false },
+  exemptCategories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+  isActive: { type: Boolean, default: true },
+  deletedAt: { type: Date, default: null },
+}, { timestamps: true });
+module.exports = mongoose.model('TaxRule', TaxRuleSchema);
@@ -10,6 +10,15 @@ const UserSchema = new mongoose.Schema(
     city: { type: String },
     password: { type: String },
     googleId: { type: String },
+    // Social logins linked to this account (Google, GitHub, ...).
+    identities: [
+      {
+        provider: { type: String, required: true },
+        subject: { type: String, required: true },
+        email: { type: String },
+        linkedAt: { type: Date, default: Date.now },
+      },
+    ],
     favourites: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }],
     isDeleted: {
       type: Boolean,
@@ -30,6 +39,55 @@ const UserSchema = new mongoose.Schema(
       enum: ["male", "female", "N/A","unknown"],
       default: "N/A",
     },
+    // Accounts created before verification existed have no value here and
+    // are treated as verified, so there is no default: new accounts set
+    // `false` themselves.
+    emailVerified: { type: Boolean },
+    emailVerifiedAt: { type: Date },
+    emailVerification: {
+      type: {
+        tokenHash: String,
+        expiresAt: Date,
+        sentAt: Date,
+      },
+      select: false,
+    },
+    // An email change waits for a confirmation from both addresses.
+    pendingEmail: {
+      type: {
+        email: String,
+        oldTokenHash: String,
+        newTokenHash: String,
+        oldConfirmedAt: Date,
+        newConfirmedAt: Date,
+        expiresAt: Date,
+      },
+      select: false,
+    },
+    twoFactor: {
+      type: {
+        enabled: { type: Boolean, default: false },
+        secret: String,
+        // Set during enrollment until the first code is confirmed.
+        pendingSecret: String,
+        recoveryCodes: [String],
+        lastUsedStep: Number,
+        enabledAt: Date,
+      },
+      select: false,
+    },
+    // Brute-force protection; see accountLockout.service.
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockoutCount: { type: Number, default: 0 },
+    lockUntil: { type: Date },
+    // Self-service erasure; see privacy.service. Cleared if cancelled.
+    erasure: {
+      requestedAt: { type: Date },
+      scheduledFor: { type: Date },
+      erasedAt: { type: Date },
+    },
+    // Bumped to revoke every access token issued so far.
+    tokenVersion: { type: Number, default: 0 },
     resetToken: String,
     resetTokenExpiry: Date,
   
@@ -46,8 +104,24 @@ const UserSchema = new mongoose.Schema(
       type: Date,
       select: false,
     },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
 
+// Lets the erasure job find due requests without a collection scan.
+UserSchema.index(
+  { "erasure.scheduledFor": 1 },
+  { partialFilterExpression: { "erasure.scheduledFor": { $exists: true } } }
+);
+
+// A provider account can belong to one user only.
+UserSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
 module.exports = mongoose.model("User", UserSchema);
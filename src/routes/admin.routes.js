@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const dashboardRouter = require('./dashboard.routes');
+const storeConfigRouter = require('./storeConfig.routes');
+const roleRouter = require('./role.routes');
+const auditRouter = require('./audit.routes');
+const inventoryRouter = require('./inventory.routes');
+
+// Admin APIs, mounted under a versioned prefix (see index.js). Each router
+// applies its own verifyToken + permission checks.
+router.use('/dashboard', dashboardRouter);
+router.use('/store-config', storeConfigRouter);
+router.use('/roles', roleRouter);
+router.use('/audit', auditRouter);
+router.use('/inventory', inventoryRouter);
+
+module.exports = router;
@@ -0,0 +1,12 @@
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/audit.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+
+router.use(verifyToken, requirePermission('audit:read'));
+
+router.route('/').get(auditController.getAuditLogs);
+router.route('/export').get(auditController.exportAuditLogs);
+
+module.exports = router;
@@ -16,5 +16,9 @@ router
   .route('/')
   .post(verifyToken, cartController.addToCart) // Add Items
   .patch(verifyToken, cartController.updateCart);
+router
+  .route('/coupon')
+  .post(verifyToken, cartController.applyCoupon)
+  .delete(verifyToken, cartController.removeCoupon);
 
 module.exports = router;
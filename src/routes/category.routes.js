@@ -1,15 +1,17 @@
 const express = require('express');
 const categoriesController = require('../controllers/category.controller');
 const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
 
 const router = express.Router();
 
 // 1- Get all categories
 router.route('/analytics').get(verifyToken, categoriesController.getCategoriesAnalytics);
 router.route('/:id').get(verifyToken, categoriesController.getCategoryDetails);
-router.route('/:id').patch(verifyToken, categoriesController.editCategory);
-router.route('/:id').delete(verifyToken, categoriesController.deleteCategory);
-router.route('/').post(verifyToken, categoriesController.addCategory);
+router.route('/:id').patch(verifyToken, requirePermission('category:write'), audit('category.update', { targetType: 'Category' }), categoriesController.editCategory);
+router.route('/:id').delete(verifyToken, requirePermission('category:write'), audit('category.delete', { targetType: 'Category' }), categoriesController.deleteCategory);
+router.route('/').post(verifyToken, requirePermission('category:write'), audit('category.create', { targetType: 'Category' }), categoriesController.addCategory);
 router.route('/').get(categoriesController.getAllCategories);
 
 
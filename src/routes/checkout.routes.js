@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const checkoutController = require('../controllers/checkout.controller');
 const verifyToken = require('../middlewares/auth.middleware');
+const requireVerifiedEmail = require('../middlewares/verifiedEmail.middleware');
 // const rateLimit = require('express-rate-limit');
 
 // const limiter = rateLimit({
@@ -11,6 +12,10 @@ const verifyToken = require('../middlewares/auth.middleware');
 
 // router.use(limiter);
 
-router.route('/').post(verifyToken, checkoutController.placeOrder);
+router.get('/shipping-methods', checkoutController.getShippingMethods);
+
+router
+  .route('/')
+  .post(verifyToken, requireVerifiedEmail, checkoutController.placeOrder);
 
 module.exports = router;
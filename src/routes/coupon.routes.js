@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const couponController = require('../controllers/coupon.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+router
+  .route('/')
+  .get(
+    verifyToken,
+    requirePermission('coupon:manage'),
+    couponController.getAllCoupons
+  )
+  .post(
+    verifyToken,
+    requirePermission('coupon:manage'),
+    audit('coupon.create', { targetType: 'Coupon' }),
+    couponController.createCoupon
+  );
+router
+  .route('/:id')
+  .patch(
+    verifyToken,
+    requirePermission('coupon:manage'),
+    audit('coupon.update', { targetType: 'Coupon' }),
+    couponController.updateCoupon
+  )
+  .delete(
+    verifyToken,
+    requirePermission('coupon:manage'),
+    audit('coupon.delete', { targetType: 'Coupon' }),
+    couponController.deleteCoupon
+  );
+
+module.exports = router;
@@ -2,11 +2,15 @@ const express = require('express');
 const router = express.Router();
 const dashboardController = require('../controllers/dashboard.controller');
 const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+
+router.use(verifyToken, requirePermission('dashboard:read'));
 
 router.route('/metrics').get(dashboardController.getMetrics);
 router.route('/montlySales').get(dashboardController.getMontlySales);
 router.route('/orderStatus').get(dashboardController.getOrderStatus);
 router.route('/salesGrowth').get(dashboardController.getSalesByPeriod);
 router.route('/featured').get(dashboardController.getBestEntities);
+router.route('/popularSearches').get(dashboardController.getPopularSearches);
 
 module.exports = router;
@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const inventoryController = require('../controllers/inventory.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+router.use(verifyToken, requirePermission('inventory:manage'));
+
+router.route('/reconcile').get(inventoryController.reconcileStock);
+router.route('/:sku/movements').get(inventoryController.getMovements);
+router.route('/:sku/adjustments').post(
+  audit('inventory.adjust', {
+    targetType: 'Inventory',
+    param: 'sku',
+    snapshot: inventoryController.snapshotStock,
+  }),
+  inventoryController.adjustStock
+);
+
+module.exports = router;
@@ -2,10 +2,30 @@ const express = require("express");
 const router = express.Router();
 const verifyToken = require('../middlewares/auth.middleware');
 const orderController = require('../controllers/order.controller');
+const returnController = require('../controllers/return.controller');
+const refundController = require('../controllers/refund.controller');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+const auditOrder = (action) =>
+  audit(action, {
+    targetType: 'Order',
+    fields: 'status paymentStatus refundedAmount',
+  });
 
 // Admin - Get all orders
-router.get('/all', verifyToken, orderController.getAllOrders);
-router.get('/analytics', verifyToken, orderController.getOrderAnalytics);
+router.get(
+  '/all',
+  verifyToken,
+  requirePermission('order:read'),
+  orderController.getAllOrders
+);
+router.get(
+  '/analytics',
+  verifyToken,
+  requirePermission('order:read'),
+  orderController.getOrderAnalytics
+);
 
 // User - Get their own orders
 router.get('/', verifyToken, orderController.getUserOrders);
@@ -13,7 +33,34 @@ router.get('/', verifyToken, orderController.getUserOrders);
 // User/Admin - Get details of a single order
 router.get('/:id', verifyToken, orderController.getOrderDetails);
 
+// User - Cancel an order that has not shipped
+router.post('/:id/cancel', verifyToken, orderController.cancelOrder);
+
+// User - Request a return on a delivered order
+router.post('/:id/returns', verifyToken, returnController.requestReturn);
+
 // Admin - Update order status
-router.patch('/:id/status', verifyToken, orderController.updateOrderStatus);
+router.patch(
+  '/:id/status',
+  verifyToken,
+  requirePermission('order:update'),
+  auditOrder('order.status_change'),
+  orderController.updateOrderStatus
+);
+
+// Admin - Refunds
+router
+  .route('/:id/refunds')
+  .get(
+    verifyToken,
+    requirePermission('order:read'),
+    refundController.getOrderRefunds
+  )
+  .post(
+    verifyToken,
+    requirePermission('order:refund'),
+    auditOrder('order.refund'),
+    refundController.createRefund
+  );
 
 module.exports = router;
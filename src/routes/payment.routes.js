@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const paymentController = require('../controllers/payment.controller');
 const verifyToken = require('../middlewares/auth.middleware');
+const requireVerifiedEmail = require('../middlewares/verifiedEmail.middleware');
 // const rateLimit = require('express-rate-limit');
 
 // const limiter = rateLimit({
@@ -13,6 +14,13 @@ const verifyToken = require('../middlewares/auth.middleware');
 
 router
   .route('/payment')
-  .post(verifyToken, paymentController.createPaymentIntent);
+  .post(
+    verifyToken,
+    requireVerifiedEmail,
+    paymentController.createPaymentIntent
+  );
+
+// Stripe calls this directly; the signature is checked against the raw body.
+router.post('/webhook', paymentController.handleWebhook);
 
 module.exports = router;
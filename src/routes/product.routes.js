@@ -1,5 +1,8 @@
 const express = require('express');
 const productController = require('../controllers/product.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
 const router = express.Router();
 // const rateLimit = require('express-rate-limit');
 
@@ -14,12 +17,34 @@ router.route('/').get(productController.getAllProducts);
 router.route('/analytics').get(productController.getProductMetrics);
 router.route('/color').get(productController.getAllProductsWithColors);
 router.route('/search').get(productController.getSearchProducts);
+router.route('/suggest').get(productController.getSuggestions);
 router.route('/min-price').get(productController.getMinEffectivePrice);
 router.route('/max-price').get(productController.getMaxEffectivePrice);
 router.route('/comparison/:id').get(productController.getProductForComparison);
-router.route('/create').post(productController.createProduct);
-router.route('/update/:id').patch(productController.updateProduct);
+router
+  .route('/create')
+  .post(
+    verifyToken,
+    requirePermission('product:write'),
+    audit('product.create', { targetType: 'Product' }),
+    productController.createProduct
+  );
+router
+  .route('/update/:id')
+  .patch(
+    verifyToken,
+    requirePermission('product:write'),
+    audit('product.update', { targetType: 'Product' }),
+    productController.updateProduct
+  );
 router.route('/:id').get(productController.getProductById);
-router.route('/:id').delete(productController.deleteProduct);
+router
+  .route('/:id')
+  .delete(
+    verifyToken,
+    requirePermission('product:write'),
+    audit('product.delete', { targetType: 'Product' }),
+    productController.deleteProduct
+  );
 
 module.exports = router;
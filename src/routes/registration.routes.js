@@ -1,34 +1,134 @@
 const express = require('express');
 const router = express.Router();
 const registerationController = require('../controllers/registration.controller');
-const passport = require('passport');
-// const rateLimit = require('express-rate-limit');
+const sessionController = require('../controllers/session.controller');
+const twoFactorController = require('../controllers/twoFactor.controller');
+const invitationController = require('../controllers/invitation.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const limiter = require('../middlewares/rateLimit.middleware');
+const requireCaptcha = require('../middlewares/captcha.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+const oauth = require('../middlewares/oauth.middleware');
 
-// const limiter = rateLimit({
-//   windowMs: 15 * 60 * 1000, // 15 minutes
-//   max: 100, // max 100 requests per windowMs
-// });
+router.post('/signup', registerationController.signup);
+router.post(
+  '/login',
+  limiter('login'),
+  limiter('loginAccount'),
+  registerationController.login
+);
+router.post(
+  '/admin/login',
+  limiter('login'),
+  limiter('loginAccount'),
+  registerationController.adminLogin
+);
+router.post('/refresh', limiter('refresh'), sessionController.refresh);
 
-// router.use(limiter);
+// Two-factor authentication
+router.post(
+  '/2fa/challenge',
+  limiter('twoFactor'),
+  registerationController.completeChallenge
+);
+router.post(
+  '/2fa/challenge/setup',
+  limiter('twoFactor'),
+  registerationController.startChallengeSetup
+);
+router.post('/2fa/setup', verifyToken, twoFactorController.startSetup);
+router.post(
+  '/2fa/setup/confirm',
+  verifyToken,
+  twoFactorController.confirmSetup
+);
+router.post(
+  '/2fa/recovery-codes',
+  verifyToken,
+  twoFactorController.regenerateRecoveryCodes
+);
+router.delete('/2fa', verifyToken, twoFactorController.disable);
 
-router.post('/signup', registerationController.signup);
-router.post('/login', registerationController.login);
-router.get(
-  '/google',
-  passport.authenticate('google', { scope: ['profile', 'email'] })
+router.post('/verify-email', registerationController.verifyEmail);
+router.post(
+  '/verify-email/resend',
+  verifyToken,
+  registerationController.resendVerificationEmail
 );
-router.get(
-  '/google/redirect',
-  passport.authenticate('google', {
-    failureRedirect: '/login',
-    session: false,
-  }),
-  registerationController.google
+router.post(
+  '/confirm-email-change',
+  registerationController.confirmEmailChange
+);
+router
+  .route('/sessions')
+  .get(verifyToken, sessionController.getSessions)
+  .delete(verifyToken, sessionController.revokeOtherSessions);
+router.delete('/sessions/:id', verifyToken, sessionController.revokeSession);
+// Social login: /auth/:provider and its /redirect callback
+for (const provider of ['google', 'github']) {
+  router.get(`/${provider}`, oauth.startOAuth(provider));
+  router.get(
+    `/${provider}/redirect`,
+    oauth.finishOAuth(provider),
+    registerationController.oauthCallback
+  );
+}
+router.post(
+  '/oauth/token',
+  limiter('refresh'),
+  registerationController.redeemOAuthCode
 );
 router.get('/logout', registerationController.logout);
-router.post('/forgot-password', registerationController.forgotPassword);
-router.post('/reset-password', registerationController.resetPassword);
+router.post(
+  '/forgot-password',
+  limiter('passwordReset'),
+  limiter('passwordResetAccount'),
+  requireCaptcha,
+  registerationController.forgotPassword
+);
+router.post(
+  '/reset-password',
+  limiter('passwordReset'),
+  registerationController.resetPassword
+);
 
-router.post('/admin/invite', registerationController.inviteAdmin);
+// Staff invitations
+router.post(
+  '/admin/invite',
+  verifyToken,
+  requirePermission('staff:invite'),
+  audit('invitation.create', { targetType: 'User' }),
+  invitationController.createInvitation
+);
+router.get(
+  '/invitations',
+  verifyToken,
+  requirePermission('staff:invite'),
+  invitationController.getPendingInvitations
+);
+router.post(
+  '/invitations/accept',
+  limiter('passwordReset'),
+  invitationController.acceptInvitation
+);
+router.post(
+  '/invitations/:userId/resend',
+  verifyToken,
+  requirePermission('staff:invite'),
+  audit('invitation.resend', { targetType: 'User', param: 'userId' }),
+  invitationController.resendInvitation
+);
+router.delete(
+  '/invitations/:userId',
+  verifyToken,
+  requirePermission('staff:invite'),
+  audit('invitation.revoke', {
+    targetType: 'User',
+    param: 'userId',
+    fields: 'email role status',
+  }),
+  invitationController.revokeInvitation
+);
 
 module.exports = router;
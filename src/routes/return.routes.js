@@ -0,0 +1,57 @@
+const express = require('express');
+const router = express.Router();
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+const auditReturn = (action) =>
+  audit(action, { targetType: 'ReturnRequest', fields: 'status refund' });
+const returnController = require('../controllers/return.controller');
+
+// User - Their own return requests
+router.get('/mine', verifyToken, returnController.getUserReturns);
+
+// Admin - RMA queue
+router.get(
+  '/',
+  verifyToken,
+  requirePermission('return:manage'),
+  returnController.getReturnQueue
+);
+router.get(
+  '/:id',
+  verifyToken,
+  requirePermission('return:manage'),
+  returnController.getReturnDetails
+);
+router.patch(
+  '/:id/approve',
+  verifyToken,
+  requirePermission('return:manage'),
+  auditReturn('return.approve'),
+  returnController.approveReturn
+);
+router.patch(
+  '/:id/reject',
+  verifyToken,
+  requirePermission('return:manage'),
+  auditReturn('return.reject'),
+  returnController.rejectReturn
+);
+router.patch(
+  '/:id/receive',
+  verifyToken,
+  requirePermission('return:manage'),
+  auditReturn('return.receive'),
+  returnController.receiveReturn
+);
+
+router.patch(
+  '/:id/refund',
+  verifyToken,
+  requirePermission('order:refund'),
+  auditReturn('return.refund'),
+  returnController.refundReturn
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const roleController = require('../controllers/role.controller');
+const verifyToken = require('../middlewares/auth.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+const auditRole = (action) =>
+  audit(action, {
+    targetType: 'RolePermission',
+    param: 'role',
+    snapshot: roleController.snapshotRole,
+  });
+
+router.use(verifyToken, requirePermission('role:manage'));
+
+router.route('/').get(roleController.getRoles);
+router
+  .route('/:role')
+  .put(auditRole('role.update'), roleController.updateRolePermissions)
+  .delete(auditRole('role.reset'), roleController.resetRolePermissions);
+
+module.exports = router;
@@ -2,10 +2,16 @@ const express = require('express');
 const router = express.Router();
 const storeConfigController = require('../controllers/storeConfig.controller');
 const verifyToken = require('../middlewares/auth.middleware');
-const allowedTo = require('../middlewares/allowTo.middleware'); 
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
 
 router.route('/')
-  .get(verifyToken, allowedTo('ADMIN',"MANAGER"), storeConfigController.getStoreConfig)
-  .put(verifyToken, allowedTo('ADMIN',"MANAGER"), storeConfigController.updateStoreConfig);
+  .get(verifyToken, requirePermission('store:config'), storeConfigController.getStoreConfig)
+  .put(
+    verifyToken,
+    requirePermission('store:config'),
+    audit('store_config.update', { targetType: 'StoreSettings', snapshot: storeConfigController.snapshotStoreConfig }),
+    storeConfigController.updateStoreConfig
+  );
 
 module.exports = router;
\ No newline at end of file
@@ -3,6 +3,15 @@ const router = express.Router();
 const userController = require('../controllers/user.controller');
 const verifyToken = require('../middlewares/auth.middleware');
 const allowedTo = require('../middlewares/allowTo.middleware');
+const requirePermission = require('../middlewares/permission.middleware');
+const audit = require('../middlewares/audit.middleware');
+
+const auditUser = (action) =>
+  audit(action, {
+    targetType: 'User',
+    param: 'userId',
+    fields: 'username email role status isDeleted',
+  });
 // const rateLimit = require('express-rate-limit');
 
 // const limiter = rateLimit({
@@ -13,8 +22,9 @@ const allowedTo = require('../middlewares/allowTo.middleware');
 // router.use(limiter);
 
 router.route('/favourites').get(verifyToken, userController.getFavourites);
-router.route('/').get(verifyToken, userController.getAllUsers);
-// verifyToken, allowedTo('ADMIN'),
+router
+  .route('/')
+  .get(verifyToken, requirePermission('user:read'), userController.getAllUsers);
 
 router
   .route('/profile/change-password')
@@ -31,13 +41,42 @@ router
     allowedTo('USER', 'ADMIN', 'MANAGER', 'EDITOR'),
     userController.updateProfile
   );
+router
+  .route('/profile/identities')
+  .get(verifyToken, userController.getIdentities);
+router
+  .route('/profile/identities/:provider/link')
+  .post(verifyToken, userController.linkIdentity);
+router
+  .route('/profile/identities/:provider/link/confirm')
+  .post(verifyToken, userController.confirmIdentityLink);
+router
+  .route('/profile/identities/:provider')
+  .delete(verifyToken, userController.unlinkIdentity);
+router
+  .route('/profile/change-email')
+  .post(verifyToken, userController.changeEmail);
+router.route('/me/export').get(verifyToken, userController.exportMyData);
+router
+  .route('/me/erase')
+  .post(verifyToken, userController.requestErasure)
+  .delete(verifyToken, userController.cancelErasure);
 router.route('/profile/change-img').put(verifyToken, userController.changeIMG);
 router
   .route('/:userId')
   .get(verifyToken,userController.getUser)
-  .patch(userController.editUser)
-  // verifyToken, allowedTo("ADMIN"),
-  .delete(verifyToken, allowedTo('ADMIN'), userController.deleteUser);
+  .patch(
+    verifyToken,
+    requirePermission('user:manage'),
+    auditUser('user.update'),
+    userController.editUser
+  )
+  .delete(
+    verifyToken,
+    requirePermission('user:manage'),
+    auditUser('user.delete'),
+    userController.deleteUser
+  );
 router
   .route('/toggle-favourites')
   .post(verifyToken, userController.toggleFavourite);
@@ -46,19 +85,21 @@ router
 router.get(
   '/admin/users',
   verifyToken,
-  allowedTo('ADMIN', 'MANAGER'),
+  requirePermission('user:read'),
   userController.getAllAdminUsers
 );
 router.patch(
   '/admin/users/:userId',
   verifyToken,
-  allowedTo('ADMIN', 'MANAGER'),
+  requirePermission('user:manage'),
+  auditUser('admin_user.update'),
   userController.editAdminUser
 );
 router.delete(
   '/admin/users/:userId',
   verifyToken,
-  allowedTo('ADMIN', 'MANAGER'),
+  requirePermission('user:manage'),
+  auditUser('admin_user.delete'),
   userController.deleteAdminUser
 );
 
@@ -0,0 +1,94 @@
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const transporter = require('../utils/emailTransporter');
+const captchaService = require('./captcha.service');
+const { recordAudit } = require('./audit.service');
+const { lockout, captcha } = require('../config/rateLimit');
+
+const MINUTE_MS = 60 * 1000;
+
+const assertNotLocked = (user) => {
+  if (user.lockUntil && user.lockUntil > new Date()) {
+    throw new AppError(
+      'Account temporarily locked after too many failed attempts. Please try again later.',
+      423,
+      httpStatusText.FAIL,
+      { lockedUntil: user.lockUntil }
+    );
+  }
+};
+
+// Once an account has a few failures, the next attempts need a CAPTCHA.
+const checkCaptcha = async (user, req) => {
+  if (
+    captchaService.isEnabled() &&
+    (user.failedLoginAttempts || 0) >= captcha.afterFailures
+  ) {
+    await captchaService.verifyCaptcha(req.body?.captchaToken, req.ip);
+  }
+};
+
+const lockDuration = (lockoutCount) =>
+  Math.min(
+    lockout.baseLockMinutes * 2 ** (lockoutCount - 1),
+    lockout.maxLockMinutes
+  ) * MINUTE_MS;
+
+const sendLockoutEmail = (user, lockUntil) =>
+  transporter
+    .sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: 'Your account has been temporarily locked',
+      text: `Dear ${
+        user.username
+      },\n\nWe locked your account after several failed sign-in attempts. You can sign in again after ${lockUntil.toUTCString()}.\n\nIf this wasn't you, we recommend resetting your password.\n\nBest regards,\nFurniro Team`,
+    })
+    .catch((error) =>
+      console.error('[EMAIL] Failed to send lockout email:', error)
+    );
+
+// Counts a failed password or second-factor attempt and locks the account
+// once the limit is reached.
+const recordFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < lockout.maxFailedAttempts) {
+    return;
+  }
+
+  const lockoutCount = (updated.lockoutCount || 0) + 1;
+  const lockUntil = new Date(Date.now() + lockDuration(lockoutCount));
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockoutCount, lockUntil }
+  );
+
+  console.warn(
+    `[LOCKOUT] ${updated.email} locked until ${lockUntil.toISOString()}`
+  );
+  await recordAudit('auth.lockout', {
+    target: updated._id,
+    targetType: 'User',
+    req,
+    metadata: { lockoutCount, lockUntil },
+  });
+  sendLockoutEmail(updated, lockUntil);
+};
+
+const recordSuccessfulLogin = (user) =>
+  User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null }
+  );
+
+module.exports = {
+  assertNotLocked,
+  checkCaptcha,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+};
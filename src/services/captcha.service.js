@@ -0,0 +1,36 @@
+const axios = require('axios');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const { captcha } = require('../config/rateLimit');
+
+const isEnabled = () => Boolean(captcha.secret);
+
+const captchaRequired = () =>
+  new AppError('Please complete the CAPTCHA', 400, httpStatusText.FAIL, {
+    captchaRequired: true,
+  });
+
+// Checks a CAPTCHA response token with the provider. Passes when no
+// provider is configured.
+const verifyCaptcha = async (token, ip) => {
+  if (!isEnabled()) return;
+  if (!token) throw captchaRequired();
+
+  const { data } = await axios.post(
+    captcha.verifyUrl,
+    new URLSearchParams({
+      secret: captcha.secret,
+      response: token,
+      remoteip: ip,
+    })
+  );
+  if (!data.success) {
+    console.warn('[CAPTCHA] Verification failed:', data['error-codes']);
+    throw captchaRequired();
+  }
+};
+
+module.exports = {
+  isEnabled,
+  verifyCaptcha,
+};
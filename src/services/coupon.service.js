@@ -0,0 +1,157 @@
+const Coupon = require('../models/coupon.model');
+const CouponRedemption = require('../models/couponRedemption.model');
+const Order = require('../models/order.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const findCouponByCode = (code) =>
+  Coupon.findOne({
+    code: String(code || '')
+      .trim()
+      .toUpperCase(),
+    deletedAt: null,
+  });
+
+const lineQualifies = (coupon, line) => {
+  const products = coupon.products || [];
+  const categories = coupon.categories || [];
+  if (products.length === 0 && categories.length === 0) return true;
+
+  const productId = String(line.productId);
+  const lineCategories = (line.categories || []).map(String);
+  return (
+    products.some((id) => String(id) === productId) ||
+    categories.some((id) => lineCategories.includes(String(id)))
+  );
+};
+
+// Orders of `userId` that used the coupon and were not cancelled.
+const countUserRedemptions = (couponId, userId, session = null) =>
+  Order.countDocuments({
+    userId,
+    'coupon.couponId': couponId,
+    status: { $ne: 'Cancelled' },
+  }).session(session);
+
+// Checks a coupon against a priced cart.
+// `lines` are [{ productId, categories, subtotal }]; `shippingCost` may be 0.
+// Resolves to { valid, reason } plus the discount when valid.
+const evaluateCoupon = async (
+  coupon,
+  { userId, lines, subtotal, shippingCost = 0 }
+) => {
+  const invalid = (reason) => ({ valid: false, reason, discount: 0 });
+  const now = new Date();
+
+  if (!coupon || coupon.deletedAt) return invalid('Coupon not found');
+  if (!coupon.isActive) return invalid('This coupon is no longer active');
+  if (coupon.startsAt && coupon.startsAt > now) {
+    return invalid('This coupon is not valid yet');
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return invalid('This coupon has expired');
+  }
+  if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+    return invalid('This coupon has reached its usage limit');
+  }
+  if (subtotal < coupon.minSubtotal) {
+    return invalid(
+      `A minimum subtotal of ${coupon.minSubtotal.toFixed(2)} is required`
+    );
+  }
+
+  if (
+    userId &&
+    coupon.perUserLimit &&
+    (await countUserRedemptions(coupon._id, userId)) >= coupon.perUserLimit
+  ) {
+    return invalid('You have already used this coupon');
+  }
+
+  const eligibleSubtotal = round(
+    lines
+      .filter((line) => lineQualifies(coupon, line))
+      .reduce((acc, line) => acc + line.subtotal, 0)
+  );
+  if (eligibleSubtotal === 0) {
+    return invalid('No items in your cart qualify for this coupon');
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = round((eligibleSubtotal * coupon.value) / 100);
+  } else if (coupon.type === 'fixed') {
+    discount = round(Math.min(coupon.value, eligibleSubtotal));
+  }
+
+  return {
+    valid: true,
+    reason: null,
+    discount,
+    freeShipping: coupon.type === 'free_shipping',
+    shippingDiscount: coupon.type === 'free_shipping' ? shippingCost : 0,
+  };
+};
+
+// Discount lines as shown to the customer.
+const describeDiscount = (coupon, evaluation) => {
+  if (!evaluation.valid) return [];
+  return [
+    {
+      code: coupon.code,
+      type: coupon.type,
+      description: coupon.description || null,
+      amount: round(evaluation.discount + evaluation.shippingDiscount),
+    },
+  ];
+};
+
+// Counts a redemption inside the order transaction, failing if the global
+// or the per-user limit was reached meanwhile.
+const redeemCoupon = async (couponId, session, { userId } = {}) => {
+  const coupon = await Coupon.findOneAndUpdate(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } },
+      ],
+    },
+    { $inc: { usedCount: 1 } },
+    { session, new: true }
+  ).select('perUserLimit');
+  if (!coupon) {
+    throw new AppError(
+      'This coupon has reached its usage limit',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  if (!userId || !coupon.perUserLimit) return;
+
+  // Writing the user's redemption document first makes a concurrent
+  // checkout with the same coupon conflict and retry, and the retry counts
+  // the order this one commits.
+  await CouponRedemption.updateOne(
+    { couponId, userId },
+    { $inc: { count: 1 } },
+    { upsert: true, session }
+  );
+  const timesUsed = await countUserRedemptions(couponId, userId, session);
+  if (timesUsed >= coupon.perUserLimit) {
+    throw new AppError(
+      'You have already used this coupon',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+};
+
+module.exports = {
+  findCouponByCode,
+  evaluateCoupon,
+  describeDiscount,
+  redeemCoupon,
+};
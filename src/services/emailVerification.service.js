@@ -0,0 +1,199 @@
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const transporter = require('../utils/emailTransporter');
+const { randomToken, hashToken } = require('../utils/token');
+const tokenRevocation = require('./tokenRevocation.service');
+const { frontendUrl, emailVerification } = require('../config/auth');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const tokenExpiry = () =>
+  new Date(Date.now() + emailVerification.tokenTtlHours * HOUR_MS);
+
+const sendMail = (to, subject, text) =>
+  transporter.sendMail({ from: process.env.EMAIL_USER, to, subject, text });
+
+// Issues a fresh verification token and mails the link to the user.
+const sendVerificationEmail = async (user) => {
+  const token = randomToken();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      emailVerification: {
+        tokenHash: hashToken(token),
+        expiresAt: tokenExpiry(),
+        sentAt: new Date(),
+      },
+    }
+  );
+
+  const link = `${frontendUrl}/auth/verify-email?token=${token}`;
+  await sendMail(
+    user.email,
+    'Verify your email address',
+    `Dear ${user.username},\n\nPlease confirm your email address by opening this link: ${link}\n\nThe link expires in ${emailVerification.tokenTtlHours} hours.\n\nBest regards,\nFurniro Team`
+  );
+  console.log('[EMAIL] Verification email sent to:', user.email);
+};
+
+const resendVerificationEmail = async (userId) => {
+  const user = await User.findById(userId).select('+emailVerification');
+  if (!user) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+  if (user.emailVerified !== false) {
+    throw new AppError('Email is already verified', 400, httpStatusText.FAIL);
+  }
+
+  const sentAt = user.emailVerification?.sentAt;
+  const waitMs = sentAt
+    ? sentAt.getTime() +
+      emailVerification.resendCooldownSeconds * 1000 -
+      Date.now()
+    : 0;
+  if (waitMs > 0) {
+    throw new AppError(
+      'Please wait before requesting another verification email',
+      429,
+      httpStatusText.FAIL,
+      { retryAfterSeconds: Math.ceil(waitMs / 1000) }
+    );
+  }
+
+  await sendVerificationEmail(user);
+};
+
+const verifyEmail = async (token) => {
+  const user = await User.findOneAndUpdate(
+    {
+      'emailVerification.tokenHash': hashToken(token),
+      'emailVerification.expiresAt': { $gt: new Date() },
+    },
+    {
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      $unset: { emailVerification: 1 },
+    },
+    { new: true }
+  );
+  if (!user) {
+    throw new AppError(
+      'Invalid or expired verification token.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  console.log('[EMAIL] Email verified for:', user.email);
+  return user;
+};
+
+// Starts an email change. The old address confirms the request is genuine,
+// the new one that it can receive mail; the change applies after both.
+const requestEmailChange = async (userId, newEmail) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+  if (!newEmail || newEmail === user.email) {
+    throw new AppError(
+      'Please provide a new email address',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  if (await User.exists({ email: newEmail })) {
+    throw new AppError('Email already in use', 400, httpStatusText.FAIL);
+  }
+
+  const oldToken = randomToken();
+  const newToken = randomToken();
+  await User.updateOne(
+    { _id: user._id },
+    {
+      pendingEmail: {
+        email: newEmail,
+        oldTokenHash: hashToken(oldToken),
+        newTokenHash: hashToken(newToken),
+        expiresAt: tokenExpiry(),
+      },
+    }
+  );
+
+  const link = (token) => `${frontendUrl}/auth/confirm-email?token=${token}`;
+  await Promise.all([
+    sendMail(
+      user.email,
+      'Confirm your email change',
+      `Dear ${
+        user.username
+      },\n\nA change of your account email to ${newEmail} was requested. Open this link to approve it: ${link(
+        oldToken
+      )}\n\nIf you did not request this, ignore this email and your address stays the same.\n\nBest regards,\nFurniro Team`
+    ),
+    sendMail(
+      newEmail,
+      'Confirm your new email address',
+      `Dear ${
+        user.username
+      },\n\nOpen this link to confirm this address for your account: ${link(
+        newToken
+      )}\n\nBest regards,\nFurniro Team`
+    ),
+  ]);
+  console.log(`[EMAIL] Email change requested for user ${user._id}`);
+};
+
+// Records one of the two confirmations; returns whether the change is done.
+const confirmEmailChange = async (token) => {
+  const hash = hashToken(token);
+  const user = await User.findOne({
+    $or: [
+      { 'pendingEmail.oldTokenHash': hash },
+      { 'pendingEmail.newTokenHash': hash },
+    ],
+    'pendingEmail.expiresAt': { $gt: new Date() },
+  }).select('+pendingEmail');
+  if (!user) {
+    throw new AppError(
+      'Invalid or expired confirmation token.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const pending = user.pendingEmail;
+  if (pending.oldTokenHash === hash) pending.oldConfirmedAt = new Date();
+  if (pending.newTokenHash === hash) pending.newConfirmedAt = new Date();
+
+  if (!pending.oldConfirmedAt || !pending.newConfirmedAt) {
+    await user.save();
+    return { completed: false };
+  }
+
+  if (await User.exists({ email: pending.email, _id: { $ne: user._id } })) {
+    user.pendingEmail = undefined;
+    await user.save();
+    throw new AppError('Email already in use', 400, httpStatusText.FAIL);
+  }
+
+  user.email = pending.email;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.pendingEmail = undefined;
+  await user.save();
+  // Access tokens carry the old address.
+  await tokenRevocation.revokeUserTokens(user._id, 'email change');
+
+  console.log(`[EMAIL] User ${user._id} changed email to ${user.email}`);
+  return { completed: true, email: user.email };
+};
+
+module.exports = {
+  sendVerificationEmail,
+  resendVerificationEmail,
+  verifyEmail,
+  requestEmailChange,
+  confirmEmailChange,
+};
@@ -0,0 +1,393 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const InventoryMovement = require('../models/inventoryMovement.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+
+// Several palette entries share a hex (Brown, walnut, Oak), so the color
+// name is used alongside it when a line has no SKU to go by.
+const findVariant = (product, color = {}) => {
+  if (!product || !Array.isArray(product.colors)) return null;
+  if (color.sku) {
+    const bySku = product.colors.find((c) => c.sku === color.sku);
+    if (bySku) return bySku;
+  }
+  return (
+    product.colors.find(
+      (c) => c.hex === color.hex && (!color.name || c.name === color.name)
+    ) || null
+  );
+};
+
+const variantFilter = (variant) =>
+  variant.sku ? { sku: variant.sku } : { hex: variant.hex, name: variant.name };
+
+// Ledger key of a variant. Variants saved without a SKU are keyed the way
+// the Product pre-save hook would have named them.
+const skuOf = (product, variant) =>
+  variant.sku ||
+  `${product.name}-${variant.name}`.toUpperCase().replace(/\s+/g, '-');
+
+// `colors` of a product about to be saved with an update, which skips the
+// pre-save hook: variants keep the SKU they had before the edit and new
+// ones are named like the hook would.
+const withSkus = (name, colors, before) =>
+  (colors || []).map((variant) => {
+    if (variant.sku) return variant;
+    const previous = before?.colors?.find((c) => c.name === variant.name);
+    return {
+      ...variant,
+      sku: previous ? skuOf(before, previous) : skuOf({ name }, variant),
+    };
+  });
+
+// Builds a ledger entry for `variant` of `product` as it is after a change.
+// `context` carries who and what caused it ({ actor, orderId, ... }).
+const movementFor = (product, variant, type, quantity, context = {}) => ({
+  productId: product._id,
+  sku: skuOf(product, variant),
+  color: { name: variant.name, hex: variant.hex },
+  type,
+  quantity,
+  balanceAfter: variant.quantity,
+  reason: context.reason,
+  note: context.note,
+  actor: context.actor?._id,
+  actorRole: context.actor?.role,
+  orderId: context.orderId,
+  returnRequestId: context.returnRequestId,
+});
+
+const recordMovements = (movements, session) =>
+  movements.length > 0
+    ? InventoryMovement.insertMany(movements, { session })
+    : Promise.resolve([]);
+
+// Atomically takes stock from the chosen color variant of every line and
+// records the sales in the ledger. `lines` are populated cart lines
+// ({ id: Product, color, quantity }); `context` is { orderId, actor }.
+// Returns the lines that could not be fulfilled; the caller is expected to
+// abort the surrounding transaction when the list is not empty.
+const reserveStock = async (lines, session, context = {}) => {
+  const shortages = [];
+  const movements = [];
+
+  for (const line of lines) {
+    const product = line.id;
+    const variant = findVariant(product, line.color);
+
+    let reserved = false;
+    if (variant) {
+      const updated = await Product.findOneAndUpdate(
+        {
+          _id: product._id,
+          deleted: { $ne: true },
+          colors: {
+            $elemMatch: {
+              ...variantFilter(variant),
+              quantity: { $gte: line.quantity },
+            },
+          },
+        },
+        { $inc: { 'colors.$.quantity': -line.quantity } },
+        { new: true, session, projection: 'name colors' }
+      ).lean();
+      if (updated) {
+        reserved = true;
+        movements.push(
+          movementFor(
+            updated,
+            findVariant(updated, variant),
+            'sale',
+            -line.quantity,
+            context
+          )
+        );
+      }
+    }
+
+    if (!reserved) {
+      const current = variant
+        ? await Product.findById(product._id)
+            .select('colors')
+            .session(session)
+            .lean()
+        : null;
+      const currentVariant = findVariant(current, variant || line.color);
+
+      shortages.push({
+        productId: product._id,
+        name: product.name,
+        color: { name: line.color.name, hex: line.color.hex },
+        sku: variant?.sku || null,
+        requested: line.quantity,
+        available: currentVariant?.quantity || 0,
+      });
+    }
+  }
+
+  if (shortages.length === 0) await recordMovements(movements, session);
+  return shortages;
+};
+
+// Puts order lines back on the shelf and records why. `items` are order
+// lines ({ id, color, sku, quantity }); `type` is 'cancel_restock' or
+// 'return', and `context` is { orderId, returnRequestId, actor, reason }.
+const restockItems = async (
+  items,
+  session,
+  { type = 'cancel_restock', ...context } = {}
+) => {
+  const movements = [];
+
+  for (const item of items) {
+    if (!item.quantity) continue;
+
+    const wanted = {
+      sku: item.sku,
+      name: item.color?.name,
+      hex: item.color?.hex,
+    };
+    const updated = await Product.findOneAndUpdate(
+      {
+        _id: item.id?._id || item.id,
+        colors: { $elemMatch: variantFilter(wanted) },
+      },
+      { $inc: { 'colors.$.quantity': item.quantity } },
+      { new: true, session, projection: 'name colors' }
+    ).lean();
+    if (!updated) {
+      console.warn(
+        `[INVENTORY] Could not restock ${
+          item.sku || item.color?.hex
+        } of product ${item.id}`
+      );
+      continue;
+    }
+
+    movements.push(
+      movementFor(
+        updated,
+        findVariant(updated, wanted),
+        type,
+        item.quantity,
+        context
+      )
+    );
+  }
+
+  await recordMovements(movements, session);
+};
+
+const variantBySku = (product, sku) =>
+  product?.colors.find((c) => skuOf(product, c) === sku);
+
+// Looks a variant up by its ledger key. Variants saved without a SKU
+// (seeded or imported products) are matched by the key skuOf gives them.
+const findBySku = async (sku, session) => {
+  let product = await Product.findOne({ 'colors.sku': sku })
+    .select('name colors')
+    .session(session || null)
+    .lean();
+  if (!product) {
+    const unnamed = await Product.find({
+      colors: { $elemMatch: { sku: { $in: [null, ''] } } },
+    })
+      .select('name colors')
+      .session(session || null)
+      .lean();
+    product = unnamed.find((candidate) => variantBySku(candidate, sku));
+  }
+  if (!product) {
+    throw new AppError('SKU not found', 404, httpStatusText.NOT_FOUND);
+  }
+  return { product, variant: variantBySku(product, sku) };
+};
+
+// Current stock of a SKU as stored on its product.
+const getStockLevel = async (sku) => {
+  const { product, variant } = await findBySku(sku);
+  return {
+    sku,
+    productId: product._id,
+    name: product.name,
+    color: { name: variant.name, hex: variant.hex },
+    quantity: variant.quantity,
+  };
+};
+
+// Manual correction of a SKU. An 'adjustment' moves stock by `quantity`
+// (e.g. -2 for damaged units); a 'stocktake' sets the counted `quantity`
+// and records the difference.
+const adjustStock = async (sku, { type, quantity, reason, note, actor }) => {
+  if (!['adjustment', 'stocktake'].includes(type)) {
+    throw new AppError(
+      "Invalid type. Allowed values: 'adjustment', 'stocktake'",
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  const amount = Number(quantity);
+  if (
+    !Number.isInteger(amount) ||
+    (type === 'adjustment' && amount === 0) ||
+    (type === 'stocktake' && amount < 0)
+  ) {
+    throw new AppError(
+      type === 'adjustment'
+        ? 'Quantity must be a non-zero whole number'
+        : 'Counted quantity must be a whole number of at least 0',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  if (!reason) {
+    throw new AppError(
+      'A reason for the change is required',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    let movement;
+    await session.withTransaction(async () => {
+      const { product, variant } = await findBySku(sku, session);
+      const change = type === 'stocktake' ? amount - variant.quantity : amount;
+      if (variant.quantity + change < 0) {
+        throw new AppError(
+          `Only ${variant.quantity} in stock; cannot remove ${-change}`,
+          400,
+          httpStatusText.FAIL
+        );
+      }
+
+      // Matching on the quantity we read keeps a concurrent sale from
+      // being overwritten or counted twice. A variant without a SKU gets
+      // the one it is known by in the ledger.
+      const updated = await Product.findOneAndUpdate(
+        {
+          _id: product._id,
+          colors: {
+            $elemMatch: {
+              ...variantFilter(variant),
+              quantity: variant.quantity,
+            },
+          },
+        },
+        {
+          $inc: { 'colors.$.quantity': change },
+          $set: { 'colors.$.sku': sku },
+        },
+        { new: true, session, projection: 'name colors' }
+      ).lean();
+      if (!updated) {
+        throw new AppError(
+          'Stock changed while saving, please retry',
+          409,
+          httpStatusText.FAIL
+        );
+      }
+
+      const after = variantBySku(updated, sku);
+      [movement] = await recordMovements(
+        [movementFor(updated, after, type, change, { reason, note, actor })],
+        session
+      );
+    });
+
+    console.log(
+      `[INVENTORY] ${type} of ${sku}: ${movement.quantity} (now ${movement.balanceAfter})`
+    );
+    return movement;
+  } finally {
+    session.endSession();
+  }
+};
+
+// Opening entries for the variants of a newly created product, or entries
+// for the quantities an edit changed. `before` is the product as it was.
+const recordProductStock = async (product, before, actor) => {
+  const movements = [];
+  for (const variant of product.colors || []) {
+    const sku = skuOf(product, variant);
+    const previous = before?.colors?.find((c) => skuOf(before, c) === sku);
+    const change = variant.quantity - (previous?.quantity || 0);
+    if (previous && change === 0) continue;
+
+    const type = previous ? 'adjustment' : 'initial';
+    const reason = previous ? 'Product edited' : 'Product created';
+    movements.push(
+      movementFor(product, variant, type, change, { reason, actor })
+    );
+  }
+
+  try {
+    await recordMovements(movements);
+  } catch (error) {
+    console.error(
+      `[INVENTORY] Failed to record stock of product ${product._id}:`,
+      error.message
+    );
+  }
+};
+
+// Compares every variant's stock with the balance its ledger ends on.
+// Variants without any movement yet are reported as untracked; posting a
+// stocktake for them starts their ledger.
+const reconcileStock = async () => {
+  const [products, balances] = await Promise.all([
+    Product.find({ deleted: { $ne: true } })
+      .select('name colors')
+      .lean(),
+    // Sorted like the { sku, createdAt, _id } index so it can be used.
+    InventoryMovement.aggregate([
+      { $sort: { sku: 1, createdAt: -1, _id: -1 } },
+      {
+        $group: {
+          _id: '$sku',
+          balance: { $first: '$balanceAfter' },
+          lastMovementAt: { $first: '$createdAt' },
+        },
+      },
+    ]),
+  ]);
+  const ledger = new Map(balances.map((entry) => [entry._id, entry]));
+
+  const discrepancies = [];
+  let checked = 0;
+  for (const product of products) {
+    for (const variant of product.colors) {
+      checked++;
+      const sku = skuOf(product, variant);
+      const entry = ledger.get(sku);
+      if (entry && entry.balance === variant.quantity) continue;
+
+      discrepancies.push({
+        sku,
+        productId: product._id,
+        name: product.name,
+        color: { name: variant.name, hex: variant.hex },
+        quantity: variant.quantity,
+        ledgerBalance: entry ? entry.balance : null,
+        difference: entry ? variant.quantity - entry.balance : null,
+        status: entry ? 'mismatch' : 'untracked',
+        lastMovementAt: entry?.lastMovementAt || null,
+      });
+    }
+  }
+
+  return { checked, discrepancies };
+};
+
+module.exports = {
+  findVariant,
+  withSkus,
+  reserveStock,
+  restockItems,
+  getStockLevel,
+  adjustStock,
+  recordProductStock,
+  reconcileStock,
+};
@@ -0,0 +1,162 @@
+const bcrypt = require('bcrypt');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const transporter = require('../utils/emailTransporter');
+const { randomToken, hashToken } = require('../utils/token');
+const permissionService = require('./permission.service');
+const { frontendUrl, staffRoles } = require('../config/auth');
+
+const INVITATION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const notFound = () =>
+  new AppError('Invitation not found', 404, httpStatusText.NOT_FOUND);
+
+// Generate username from email (part before the '@'), keeping letters and
+// digits; falls back to a generated one when that is too short.
+const usernameFromEmail = (email) => {
+  const sanitized = email
+    .substring(0, email.indexOf('@'))
+    .replace(/[^a-zA-Z0-9]/g, '');
+  return sanitized.length >= 3
+    ? sanitized
+    : `user_${Date.now().toString().slice(-5)}`;
+};
+
+// Gives the pending user a fresh token and mails them the link.
+const sendInvitation = async (user) => {
+  const token = randomToken();
+  user.invitationToken = hashToken(token);
+  user.invitationTokenExpiry = new Date(Date.now() + INVITATION_TTL_MS);
+  await user.save();
+
+  const invitationLink = `${frontendUrl}/auth/accept-invitation?token=${token}`;
+  await transporter.sendMail({
+    from: process.env.EMAIL_USER,
+    to: user.email,
+    subject: 'Invitation to Join Our Team as an Admin',
+    html: `
+            <p>Hello!</p>
+            <p>You have been invited to join our team as an administrator with the role of <strong>${user.role}</strong>.</p>
+            <p>Please click the following link to set your password and activate your account:</p>
+            <p><a href="${invitationLink}">${invitationLink}</a></p>
+            <p>This invitation link will expire in 24 hours.</p>
+            <p>If you did not request this invitation, please ignore this email.</p>
+            <p>Best regards,<br>Furniro Team</p>
+        `,
+  });
+  console.log('[EMAIL] Invitation email sent to:', user.email);
+  return user;
+};
+
+const createInvitation = async ({ email, role }, invitedBy) => {
+  if (!email || !staffRoles.includes(role)) {
+    throw new AppError(
+      `A valid email and a staff role (${staffRoles.join(', ')}) are required.`,
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  await permissionService.assertCanAssignRole(invitedBy.role, role);
+  if (await User.exists({ email })) {
+    console.warn('[INVITE ADMIN] Email already exists:', email);
+    throw new AppError(
+      'User with this email already exists.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const user = new User({
+    email,
+    role,
+    status: 'pending',
+    emailVerified: false,
+    username: usernameFromEmail(email),
+    invitedBy: invitedBy._id,
+  });
+  console.log('[INVITE ADMIN] Pending admin user created:', email);
+  return sendInvitation(user);
+};
+
+const findPendingInvitation = async (userId) => {
+  const user = await User.findOne({ _id: userId, status: 'pending' }).select(
+    '+invitationToken +invitationTokenExpiry'
+  );
+  if (!user || !user.invitationToken) throw notFound();
+  return user;
+};
+
+const resendInvitation = async (userId) =>
+  sendInvitation(await findPendingInvitation(userId));
+
+// A revoked invitation leaves nothing behind, so the address can be
+// invited again later.
+const revokeInvitation = async (userId) => {
+  const user = await findPendingInvitation(userId);
+  await User.deleteOne({ _id: user._id, status: 'pending' });
+  console.log('[INVITE ADMIN] Invitation revoked for:', user.email);
+  return user;
+};
+
+const listPendingInvitations = async () => {
+  const users = await User.find({
+    status: 'pending',
+    invitationToken: { $ne: null },
+  })
+    .select('_id email role invitationTokenExpiry invitedBy createdAt')
+    .populate({ path: 'invitedBy', select: 'username email' })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return users.map(({ invitationTokenExpiry, ...user }) => ({
+    ...user,
+    expiresAt: invitationTokenExpiry,
+    expired: invitationTokenExpiry < new Date(),
+  }));
+};
+
+// Sets the invited user's password and activates the account.
+const acceptInvitation = async ({ token, password }) => {
+  if (!password || password.length < 8) {
+    throw new AppError(
+      'Password must be at least 8 characters long.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const user = await User.findOne({
+    invitationToken: hashToken(token),
+    invitationTokenExpiry: { $gt: new Date() },
+    status: 'pending',
+  });
+  if (!user) {
+    throw new AppError(
+      'Invalid or expired invitation.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  user.password = await bcrypt.hash(password, salt);
+  user.status = 'active';
+  // The invitation link proved the address works.
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  user.invitationToken = undefined;
+  user.invitationTokenExpiry = undefined;
+  await user.save();
+
+  console.log('[INVITE ADMIN] Invitation accepted by:', user.email);
+  return user;
+};
+
+module.exports = {
+  createInvitation,
+  resendInvitation,
+  revokeInvitation,
+  listPendingInvitations,
+  acceptInvitation,
+};
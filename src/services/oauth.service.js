@@ -0,0 +1,213 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+
+const LINK_PURPOSE = 'oauth-link';
+const LINK_CONFIRM_PURPOSE = 'oauth-link-confirm';
+
+// Passed through the provider as OAuth `state` so the callback knows which
+// logged-in user asked to link the account.
+const createLinkToken = (userId, provider) =>
+  jwt.sign(
+    { _id: userId, purpose: LINK_PURPOSE, provider },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: '10m',
+    }
+  );
+
+const readLinkToken = (token, provider, purpose = LINK_PURPOSE) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose === purpose && decoded.provider === provider) {
+      return decoded;
+    }
+  } catch (err) {
+    // falls through to the error below
+  }
+  throw new AppError(
+    'Invalid or expired link request',
+    400,
+    httpStatusText.FAIL
+  );
+};
+
+const findByIdentity = async (provider, subject) => {
+  const user = await User.findOne({
+    identities: { $elemMatch: { provider, subject } },
+  });
+  if (user || provider !== 'google') return user;
+  // Accounts created before identities existed only have a googleId.
+  return User.findOne({ googleId: subject });
+};
+
+const addIdentity = async (user, provider, identity) => {
+  if (user.identities.some((entry) => entry.provider === provider)) {
+    throw new AppError(
+      `A ${provider} account is already linked. Unlink it first.`,
+      409,
+      httpStatusText.FAIL
+    );
+  }
+  user.identities.push({
+    provider,
+    subject: identity.subject,
+    email: identity.email,
+  });
+  await user.save();
+  console.log(`[OAUTH] Linked ${provider} to user ${user._id}`);
+  return user;
+};
+
+const findLinkTarget = async (userId, provider, identity) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+
+  const owner = await findByIdentity(provider, identity.subject);
+  if (owner && !owner._id.equals(user._id)) {
+    throw new AppError(
+      `This ${provider} account is linked to another user`,
+      409,
+      httpStatusText.FAIL
+    );
+  }
+  return { user, linked: Boolean(owner) };
+};
+
+// First half of linking, at the provider callback. The `linkToken` in the
+// OAuth state may have been opened in someone else's browser, so nothing is
+// linked yet: the callback hands out a short-lived link code that only the
+// user who asked for the link can confirm (see linkAccount).
+const prepareLink = async (provider, identity, linkToken) => {
+  const { _id } = readLinkToken(linkToken, provider);
+  const { user } = await findLinkTarget(_id, provider, identity);
+
+  const linkCode = jwt.sign(
+    {
+      _id: user._id,
+      purpose: LINK_CONFIRM_PURPOSE,
+      provider,
+      identity: { subject: identity.subject, email: identity.email },
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '10m' }
+  );
+  return { user, linkCode };
+};
+
+// Links the provider account behind `linkCode` to the logged-in `userId`.
+const linkAccount = async (userId, provider, linkCode) => {
+  const { _id, identity } = readLinkToken(
+    linkCode,
+    provider,
+    LINK_CONFIRM_PURPOSE
+  );
+  if (String(_id) !== String(userId)) {
+    throw new AppError(
+      'This link request was started by another account',
+      403,
+      httpStatusText.FAIL
+    );
+  }
+
+  const { user, linked } = await findLinkTarget(_id, provider, identity);
+  return linked ? user : addIdentity(user, provider, identity);
+};
+
+// Finds or creates the user for a provider login. An existing account with
+// the same email is linked only when both sides have verified that email.
+const loginWithProvider = async (provider, identity) => {
+  const existing = await findByIdentity(provider, identity.subject);
+  if (existing) {
+    if (existing.isDeleted) {
+      throw new AppError(
+        'This account has been deleted',
+        403,
+        httpStatusText.FAIL
+      );
+    }
+    const hasIdentity = existing.identities.some(
+      (entry) => entry.provider === provider
+    );
+    return hasIdentity ? existing : addIdentity(existing, provider, identity);
+  }
+
+  const byEmail = identity.email
+    ? await User.findOne({ email: identity.email })
+    : null;
+  if (byEmail) {
+    if (
+      byEmail.isDeleted ||
+      !identity.emailVerified ||
+      byEmail.emailVerified === false
+    ) {
+      throw new AppError(
+        `An account with this email already exists. Log in and link ${provider} from your profile.`,
+        409,
+        httpStatusText.FAIL
+      );
+    }
+    return addIdentity(byEmail, provider, identity);
+  }
+
+  const user = await User.create({
+    username:
+      identity.name || identity.email?.split('@')[0] || `${provider} user`,
+    email: identity.email,
+    thumbnail: identity.photo,
+    emailVerified: Boolean(identity.emailVerified),
+    identities: [
+      { provider, subject: identity.subject, email: identity.email },
+    ],
+  });
+  console.log(`[OAUTH] New user ${user._id} created from ${provider}`);
+  return user;
+};
+
+const listIdentities = async (userId) => {
+  const user = await User.findById(userId).select('identities').lean();
+  return user?.identities || [];
+};
+
+// Removes a linked provider, unless it is the only way left to log in.
+const unlinkIdentity = async (userId, provider) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+  const remaining = user.identities.filter(
+    (entry) => entry.provider !== provider
+  );
+  if (remaining.length === user.identities.length) {
+    throw new AppError(
+      `No ${provider} account is linked`,
+      404,
+      httpStatusText.NOT_FOUND
+    );
+  }
+  if (!user.password && remaining.length === 0) {
+    throw new AppError(
+      'Set a password or link another provider before unlinking this one',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  user.identities = remaining;
+  if (provider === 'google') user.googleId = undefined;
+  await user.save();
+  console.log(`[OAUTH] Unlinked ${provider} from user ${user._id}`);
+  return user.identities;
+};
+
+module.exports = {
+  createLinkToken,
+  prepareLink,
+  linkAccount,
+  loginWithProvider,
+  listIdentities,
+  unlinkIdentity,
+};
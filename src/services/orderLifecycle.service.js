@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const transporter = require('../utils/emailTransporter');
+const { transitions } = require('../config/orderLifecycle');
+const inventoryService = require('./inventory.service');
+
+const STATUSES = Object.keys(transitions);
+
+// Guards run before a transition; returning a string blocks it with that reason.
+const guards = {
+  Shipped: [
+    (order) =>
+      order.paymentMethod === 'card' && order.paymentStatus !== 'paid'
+        ? 'Card orders cannot be shipped before the payment is received'
+        : null,
+  ],
+};
+
+// Effects that must commit together with the status change.
+const transactionalEffects = {
+  Cancelled: [
+    (order, session, { actor, note }) =>
+      inventoryService.restockItems(order.orderItems, session, {
+        type: 'cancel_restock',
+        orderId: order._id,
+        actor,
+        reason: 'Order cancelled',
+        note,
+      }),
+  ],
+};
+
+// Effects run once the change is committed; a failure is logged, not thrown.
+const afterCommitEffects = {
+  Shipped: [
+    (order) =>
+      transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: order.shippingAddress.email,
+        subject: `Your order ${order.orderNumber} has shipped`,
+        text: `Dear ${order.shippingAddress.firstName},\n\nGood news! Your order ${order.orderNumber} is on its way.\n\nBest regards,\nFurniro Team`,
+      }),
+  ],
+};
+
+const canTransition = (from, to) => (transitions[from] || []).includes(to);
+
+const checkGuards = (order, to) =>
+  (guards[to] || []).map((guard) => guard(order)).filter(Boolean);
+
+// Moves an order to `to`. `actor` is the authenticated user ({ _id, role })
+// or null for system-driven changes.
+const transitionOrder = async (orderId, to, { actor = null, note } = {}) => {
+  if (!STATUSES.includes(to)) {
+    throw new AppError(
+      `Invalid status. Allowed values: ${STATUSES.join(', ')}`,
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new AppError('Order not found', 404, httpStatusText.NOT_FOUND);
+  }
+
+  const from = order.status;
+  if (!canTransition(from, to)) {
+    throw new AppError(
+      `Cannot move order from ${from} to ${to}`,
+      400,
+      httpStatusText.FAIL,
+      { from, to, allowed: transitions[from] || [] }
+    );
+  }
+
+  const blocked = checkGuards(order, to);
+  if (blocked.length > 0) {
+    throw new AppError(blocked.join('. '), 400, httpStatusText.FAIL, {
+      from,
+      to,
+      reasons: blocked,
+    });
+  }
+
+  const session = await mongoose.startSession();
+  let updatedOrder;
+  try {
+    await session.withTransaction(async () => {
+      // Matching on the old status makes concurrent transitions lose cleanly.
+      updatedOrder = await Order.findOneAndUpdate(
+        { _id: order._id, status: from },
+        {
+          $set: { status: to },
+          $push: {
+            statusHistory: {
+              from,
+              to,
+              actor: actor?._id || null,
+              actorRole: actor?.role || 'SYSTEM',
+              note,
+              at: new Date(),
+            },
+          },
+        },
+        { new: true, session }
+      );
+      if (!updatedOrder) {
+        throw new AppError(
+          'Order status was changed by someone else, please retry',
+          409,
+          httpStatusText.FAIL
+        );
+      }
+
+      for (const effect of transactionalEffects[to] || []) {
+        await effect(updatedOrder, session, { actor, note });
+      }
+    });
+  } finally {
+    session.endSession();
+  }
+
+  for (const effect of afterCommitEffects[to] || []) {
+    try {
+      await effect(updatedOrder);
+    } catch (err) {
+      console.error(
+        `[ORDER LIFECYCLE] Side effect for ${updatedOrder.orderNumber} -> ${to} failed:`,
+        err
+      );
+    }
+  }
+
+  console.log(
+    `[ORDER LIFECYCLE] Order ${updatedOrder.orderNumber}: ${from} -> ${to} by ${
+      actor?._id || 'system'
+    }`
+  );
+  return updatedOrder;
+};
+
+module.exports = {
+  STATUSES,
+  canTransition,
+  transitionOrder,
+};
@@ -1,35 +1,36 @@
-const cron = require("node-cron");
-const Order = require("../models/order.model");
+const cron = require('node-cron');
+const Order = require('../models/order.model');
+const { simulator, simulatorPath } = require('../config/orderLifecycle');
+const { transitionOrder } = require('./orderLifecycle.service');
 
-const updateOrderStatuses = async () => {
+// Demo only: walks open orders one step along the happy path so the
+// storefront has something to show. Enable with ORDER_STATUS_SIMULATOR=true.
+const simulateOrderStatuses = async () => {
   try {
-    const orders = await Order.find({ status: { $ne: "Delivered" } });
+    const orders = await Order.find({
+      status: { $in: Object.keys(simulatorPath) },
+    }).select('_id orderNumber status');
 
-    for (let order of orders) {
-      let nextStatus;
-      switch (order.status) {
-        case "Pending":
-          nextStatus = "Processing";
-          break;
-        case "Processing":
-          nextStatus = "Shipped";
-          break;
-        case "Shipped":
-          nextStatus = "Delivered";
-          break;
-        default:
-          continue;
+    for (const order of orders) {
+      const nextStatus = simulatorPath[order.status];
+      try {
+        await transitionOrder(order._id, nextStatus, {
+          note: 'Order status simulator',
+        });
+      } catch (error) {
+        console.warn(
+          `[SIMULATOR] Order ${order.orderNumber} stays ${order.status}: ${error.message}`
+        );
       }
-
-      order.status = nextStatus;
-      await order.save();
-      console.log(`Order ${order.orderNumber} updated to ${nextStatus}`);
     }
   } catch (error) {
-    console.error("Error updating order statuses:", error);
+    console.error('Error updating order statuses:', error);
   }
 };
 
-cron.schedule("*/2 * * * *", updateOrderStatuses);
+if (simulator.enabled) {
+  console.log(`[SIMULATOR] Order status simulator on (${simulator.schedule})`);
+  cron.schedule(simulator.schedule, simulateOrderStatuses);
+}
 
-module.exports = updateOrderStatuses;
+module.exports = simulateOrderStatuses;
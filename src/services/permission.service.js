@@ -0,0 +1,127 @@
+const RolePermission = require('../models/rolePermission.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLES,
+} = require('../config/permissions');
+
+// Assignments are read on every protected request, so they are kept in
+// memory for a short while. Saving through this module refreshes them.
+const CACHE_TTL_MS = 60 * 1000;
+let cachedMatrix = null;
+let cachedAt = 0;
+
+const getPermissionMatrix = async () => {
+  if (cachedMatrix && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMatrix;
+  }
+
+  const saved = await RolePermission.find().lean();
+  const matrix = {};
+  for (const role of ROLES) {
+    const entry = saved.find((doc) => doc.role === role);
+    matrix[role] = entry ? entry.permissions : DEFAULT_ROLE_PERMISSIONS[role];
+  }
+
+  cachedMatrix = matrix;
+  cachedAt = Date.now();
+  return matrix;
+};
+
+const getRolePermissions = async (role) => {
+  const matrix = await getPermissionMatrix();
+  return matrix[role] || [];
+};
+
+const hasPermissions = async (role, permissions) => {
+  const granted = await getRolePermissions(role);
+  return permissions.every((permission) => granted.includes(permission));
+};
+
+// Staff may only hand out (or take away) roles that can do no more than
+// they can themselves, so user:manage is not a way to become ADMIN.
+const assertCanAssignRole = async (actorRole, ...roles) => {
+  const granted = await getRolePermissions(actorRole);
+  for (const role of roles) {
+    const missing = (await getRolePermissions(role)).filter(
+      (permission) => !granted.includes(permission)
+    );
+    if (missing.length > 0) {
+      throw new AppError(
+        `You cannot assign or change the ${role} role`,
+        403,
+        httpStatusText.ERROR,
+        { missing }
+      );
+    }
+  }
+};
+
+const setRolePermissions = async (role, permissions, actor) => {
+  if (!ROLES.includes(role)) {
+    throw new AppError(
+      `Unknown role. Allowed values: ${ROLES.join(', ')}`,
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  if (!Array.isArray(permissions)) {
+    throw new AppError(
+      "'permissions' must be an array",
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+  if (unknown.length > 0) {
+    throw new AppError(
+      `Unknown permissions: ${unknown.join(', ')}`,
+      400,
+      httpStatusText.FAIL,
+      { allowed: PERMISSIONS }
+    );
+  }
+  // Without this an admin could lock everyone out of role management.
+  if (role === 'ADMIN' && !permissions.includes('role:manage')) {
+    throw new AppError(
+      "The ADMIN role must keep 'role:manage'",
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const entry = await RolePermission.findOneAndUpdate(
+    { role },
+    { permissions: [...new Set(permissions)], updatedBy: actor?._id },
+    { upsert: true, new: true, runValidators: true }
+  );
+  cachedMatrix = null;
+
+  console.log(`[PERMISSIONS] ${role} now has: ${entry.permissions.join(', ')}`);
+  return entry;
+};
+
+const resetRolePermissions = async (role) => {
+  if (!ROLES.includes(role)) {
+    throw new AppError(
+      `Unknown role. Allowed values: ${ROLES.join(', ')}`,
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  await RolePermission.deleteOne({ role });
+  cachedMatrix = null;
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+};
+
+module.exports = {
+  getPermissionMatrix,
+  getRolePermissions,
+  hasPermissions,
+  assertCanAssignRole,
+  setRolePermissions,
+  resetRolePermissions,
+};
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const httpStatusText = require('../utils/httpStatusText');
+const AppError = require('../utils/appError');
+const Cart = require('../models/cart.model');
+const StoreSettings = require('../models/settings/storeSettings.model');
+const { findVariant } = require('./inventory.service');
+const couponService = require('./coupon.service');
+const { calculateTax } = require('./tax.service');
+const shippingService = require('./shipping.service');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Same rounding as the Cart pre-save hook so previews and charges agree.
+const getEffectivePrice = (product) =>
+  parseFloat(
+    (product.sale
+      ? product.price * (1 - product.sale / 100)
+      : product.price
+    ).toFixed(2)
+  );
+
+// Only the parts of an address that decide which tax rules apply.
+const pickTaxAddress = ({ country, region, zipCode } = {}) => ({
+  country: country || null,
+  region: region || null,
+  zipCode: zipCode || null,
+});
+
+// Fingerprint of everything that affects the charge. It travels with the
+// PaymentIntent so checkout can tell whether the cart changed after paying.
+const hashQuote = ({
+  userId,
+  lines,
+  shipping,
+  coupon,
+  discountTotal,
+  address,
+  taxTotal,
+  total,
+  currency,
+}) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      JSON.stringify({
+        userId: String(userId),
+        lines: lines.map((line) => [
+          String(line.productId),
+          line.sku || line.color.hex,
+          line.quantity,
+          line.unitPrice,
+        ]),
+        shipping: shipping ? [String(shipping.methodId), shipping.cost] : null,
+        coupon: coupon?.valid ? coupon.code : null,
+        discountTotal,
+        address: address
+          ? [address.country, address.region, address.zipCode]
+          : null,
+        taxTotal,
+        total,
+        currency,
+      })
+    )
+    .digest('hex');
+
+// Applies the coupon saved on the cart, if any. An inapplicable coupon is
+// reported back with its reason rather than failing the whole quote.
+const quoteCoupon = async (cart, { userId, lines, subtotal, shipping }) => {
+  if (!cart.coupon?.code) return null;
+
+  const coupon = await couponService.findCouponByCode(cart.coupon.code);
+  const evaluation = await couponService.evaluateCoupon(coupon, {
+    userId,
+    lines,
+    subtotal,
+    shippingCost: shipping ? shipping.cost : 0,
+  });
+
+  return {
+    couponId: coupon?._id,
+    code: cart.coupon.code,
+    type: coupon?.type,
+    valid: evaluation.valid,
+    reason: evaluation.reason,
+    discount: evaluation.discount,
+    shippingDiscount: evaluation.shippingDiscount || 0,
+    discounts: coupon ? couponService.describeDiscount(coupon, evaluation) : [],
+  };
+};
+
+// Prices a cart whose products are populated. Lines whose product is gone
+// are skipped; quoteCart refuses such carts before getting here.
+const priceCart = async (cart, { userId, shippingMethodId, address } = {}) => {
+  const lines = cart.products
+    .filter((item) => item.id && !item.id.deleted)
+    .map((item) => {
+      const unitPrice = getEffectivePrice(item.id);
+      const variant = findVariant(item.id, item.color);
+      return {
+        productId: item.id._id,
+        name: item.id.name,
+        categories: item.id.categories || [],
+        weight: item.id.additionalInformation?.specifications?.weight || 0,
+        color: { name: item.color.name, hex: item.color.hex },
+        sku: variant?.sku,
+        quantity: item.quantity,
+        unitPrice,
+        subtotal: round(unitPrice * item.quantity),
+      };
+    });
+
+  const subtotal = round(lines.reduce((acc, line) => acc + line.subtotal, 0));
+
+  const shipping = await shippingService.quoteShipping(shippingMethodId, {
+    lines,
+    address,
+  });
+
+  const coupon = await quoteCoupon(cart, { userId, lines, subtotal, shipping });
+  const discounts = coupon?.valid ? coupon.discounts : [];
+  const discountTotal = coupon?.valid
+    ? round(coupon.discount + coupon.shippingDiscount)
+    : 0;
+
+  const { taxLines, taxTotal, exclusiveTaxTotal } = await calculateTax({
+    lines,
+    subtotal,
+    discount: coupon?.valid ? coupon.discount : 0,
+    shippingCost: shipping
+      ? shipping.cost - (coupon?.valid ? coupon.shippingDiscount : 0)
+      : 0,
+    address,
+  });
+
+  const storeSettings = (await StoreSettings.findOne().lean()) || {};
+  const currency = (storeSettings.defaultCurrency || 'USD').toUpperCase();
+
+  const total = round(
+    Math.max(0, subtotal + (shipping ? shipping.cost : 0) - discountTotal) +
+      exclusiveTaxTotal
+  );
+  const quote = {
+    cart,
+    lines,
+    subtotal,
+    shipping,
+    coupon,
+    discounts,
+    discountTotal,
+    address: address ? pickTaxAddress(address) : null,
+    taxLines,
+    taxTotal,
+    total,
+    currency,
+  };
+  quote.cartHash = hashQuote({ userId, ...quote });
+
+  return quote;
+};
+
+// Prices the user's cart from the database. Nothing here comes from the
+// client except which shipping method was picked and where it ships to.
+const quoteCart = async (userId, { shippingMethodId, address } = {}) => {
+  const cart = await Cart.findOne({ userId }).populate('products.id');
+  if (!cart || cart.products.length === 0) {
+    throw new AppError('Cart is empty', 400, httpStatusText.FAIL);
+  }
+
+  const unavailable = cart.products.find((item) => !item.id || item.id.deleted);
+  if (unavailable) {
+    throw new AppError(
+      'Cart contains a product that is no longer available',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  return priceCart(cart, { userId, shippingMethodId, address });
+};
+
+module.exports = {
+  getEffectivePrice,
+  priceCart,
+  quoteCart,
+};
@@ -0,0 +1,336 @@
+const cron = require('node-cron');
+const bcrypt = require('bcrypt');
+const cloudinary = require('cloudinary').v2;
+const User = require('../models/user.model');
+const Order = require('../models/order.model');
+const Cart = require('../models/cart.model');
+const Contact = require('../models/contact.model');
+const Session = require('../models/session.model');
+const AuditLog = require('../models/auditLog.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const { createZip } = require('../utils/zip');
+const tokenRevocation = require('./tokenRevocation.service');
+const sessionService = require('./session.service');
+const { recordAudit } = require('./audit.service');
+const { erasure, placeholder } = require('../config/privacy');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+cloudinary.config({
+  cloud_name: process.env.CLOUD_NAME,
+  api_key: process.env.API_KEY,
+  api_secret: process.env.API_SECRET,
+});
+
+// Fields that are credentials or internal bookkeeping rather than data
+// about the user, so they stay out of the export.
+const EXPORT_EXCLUDED_FIELDS =
+  '-password -resetToken -resetTokenExpiry -tokenVersion -failedLoginAttempts -lockoutCount -lockUntil';
+
+// Everything stored about a user, grouped the way it is exported.
+const buildExport = async (userId) => {
+  const user = await User.findById(userId)
+    .select(EXPORT_EXCLUDED_FIELDS)
+    .populate({ path: 'favourites', select: '_id name subtitle price' })
+    .lean();
+  if (!user) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+
+  const [orders, cart, contactMessages] = await Promise.all([
+    Order.find({ userId }).sort({ createdAt: -1 }).lean(),
+    Cart.findOne({ userId })
+      .populate({ path: 'products.id', select: '_id name price' })
+      .lean(),
+    Contact.find({ email: user.email }).sort({ createdAt: -1 }).lean(),
+  ]);
+
+  const { favourites, ...profile } = user;
+  return {
+    exportedAt: new Date(),
+    profile,
+    orders,
+    cart,
+    favourites,
+    contactMessages,
+  };
+};
+
+// The export as a single JSON document or as a ZIP with one file per
+// section. Resolves to { filename, contentType, body }.
+const createExportBundle = async (userId, format = 'json') => {
+  const data = await buildExport(userId);
+  const stamp = data.exportedAt.toISOString().slice(0, 10);
+
+  if (format === 'zip') {
+    const entries = Object.entries(data)
+      .filter(([section]) => section !== 'exportedAt')
+      .map(([section, value]) => ({
+        name: `${section}.json`,
+        data: JSON.stringify(value, null, 2),
+      }));
+    return {
+      filename: `account-export-${stamp}.zip`,
+      contentType: 'application/zip',
+      body: createZip(entries),
+    };
+  }
+  if (format !== 'json') {
+    throw new AppError(
+      'Invalid format. Allowed values: json, zip',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  return {
+    filename: `account-export-${stamp}.json`,
+    contentType: 'application/json',
+    body: JSON.stringify(data, null, 2),
+  };
+};
+
+// Schedules the account for erasure once the grace period is over.
+// Accounts with a password have to confirm it.
+const requestErasure = async (userId, { password, req } = {}) => {
+  const user = await User.findById(userId);
+  if (!user || user.isDeleted) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+  if (user.erasure?.scheduledFor) {
+    throw new AppError(
+      'Account erasure is already scheduled',
+      409,
+      httpStatusText.FAIL,
+      { scheduledFor: user.erasure.scheduledFor }
+    );
+  }
+  if (user.password) {
+    const matches = password && (await bcrypt.compare(password, user.password));
+    if (!matches) {
+      throw new AppError(
+        'Please confirm with your current password',
+        401,
+        httpStatusText.FAIL
+      );
+    }
+  }
+
+  const requestedAt = new Date();
+  const scheduledFor = new Date(
+    requestedAt.getTime() + erasure.gracePeriodDays * DAY_MS
+  );
+  user.erasure = { requestedAt, scheduledFor };
+  await user.save();
+
+  console.log(
+    `[PRIVACY] Erasure of user ${userId} scheduled for ${scheduledFor.toISOString()}`
+  );
+  await recordAudit('user.erasure_requested', {
+    actor: user,
+    target: user._id,
+    targetType: 'User',
+    req,
+    metadata: { scheduledFor },
+  });
+  return user.erasure;
+};
+
+const cancelErasure = async (userId, { req } = {}) => {
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      'erasure.scheduledFor': { $exists: true },
+      'erasure.erasedAt': { $exists: false },
+    },
+    { $unset: { erasure: 1 } }
+  );
+  if (!user) {
+    throw new AppError(
+      'No account erasure is scheduled',
+      404,
+      httpStatusText.NOT_FOUND
+    );
+  }
+
+  console.log(`[PRIVACY] Erasure of user ${user._id} cancelled`);
+  await recordAudit('user.erasure_cancelled', {
+    actor: user,
+    target: user._id,
+    targetType: 'User',
+    req,
+  });
+};
+
+// Public id of an image uploaded to our Cloudinary account, e.g.
+// .../<cloud>/image/upload/v1712/avatars/abc.jpg -> avatars/abc. Other URLs
+// (the default avatar, provider photos) give null.
+const CLOUDINARY_IMAGE =
+  /^https?:\/\/res\.cloudinary\.com\/([^/]+)\/image\/upload\/(?:[^/]*,[^/]*\/)*(?:v\d+\/)?(.+?)(?:\.\w+)?$/;
+
+const cloudinaryPublicId = (url) => {
+  const match = CLOUDINARY_IMAGE.exec(url || '');
+  return match && match[1] === process.env.CLOUD_NAME ? match[2] : null;
+};
+
+const deleteThumbnail = async (user) => {
+  const publicId = cloudinaryPublicId(user.thumbnail);
+  if (!publicId) return;
+  try {
+    await cloudinary.uploader.destroy(publicId, { invalidate: true });
+  } catch (error) {
+    console.error(
+      `[PRIVACY] Failed to delete thumbnail of user ${user._id}:`,
+      error.message
+    );
+  }
+};
+
+// The log keeps what happened, but not where from or the values that
+// were changed on the account.
+const anonymiseAuditTrail = async (userId) => {
+  await AuditLog.updateMany(
+    { $or: [{ actor: userId }, { targetId: String(userId) }] },
+    { $unset: { ip: 1, userAgent: 1 } }
+  );
+  await AuditLog.updateMany(
+    { targetId: String(userId) },
+    {
+      $set: {
+        'changes.$[].before': placeholder,
+        'changes.$[].after': placeholder,
+      },
+      $unset: { metadata: 1 },
+    }
+  );
+};
+
+// Removes personal data while keeping what the books need: orders keep
+// their items, amounts and country; refunds and returns are untouched.
+const eraseUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) return null;
+
+  const erasedEmail = `erased-${user._id}@invalid.local`;
+  const previousEmail = user.email;
+
+  await Order.updateMany(
+    { userId: user._id },
+    {
+      $set: {
+        'shippingAddress.firstName': placeholder,
+        'shippingAddress.lastName': placeholder,
+        'shippingAddress.phone': placeholder,
+        'shippingAddress.email': erasedEmail,
+        'shippingAddress.address': placeholder,
+        'shippingAddress.city': placeholder,
+        'shippingAddress.zipCode': placeholder,
+      },
+      $unset: {
+        'shippingAddress.companyName': 1,
+        'shippingAddress.additionalInfo': 1,
+        'shippingAddress.region': 1,
+      },
+    }
+  );
+  if (previousEmail) {
+    await Contact.updateMany(
+      { email: previousEmail },
+      {
+        name: placeholder,
+        email: erasedEmail,
+        subject: placeholder,
+        message: placeholder,
+      }
+    );
+  }
+  await Cart.deleteMany({ userId: user._id });
+
+  await tokenRevocation.revokeUserTokens(user._id, 'account erased');
+  await sessionService.revokeAllSessions(user._id, {
+    reason: 'account erased',
+  });
+  // Sessions and audit entries hold IP addresses and user agents.
+  await Session.deleteMany({ userId: user._id });
+  await anonymiseAuditTrail(user._id);
+  await deleteThumbnail(user);
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        username: placeholder,
+        email: erasedEmail,
+        gender: 'N/A',
+        identities: [],
+        favourites: [],
+        isDeleted: true,
+        status: 'inactive',
+        emailVerified: false,
+        'erasure.erasedAt': new Date(),
+      },
+      $unset: {
+        phone: 1,
+        bio: 1,
+        country: 1,
+        city: 1,
+        password: 1,
+        googleId: 1,
+        thumbnail: 1,
+        emailVerification: 1,
+        pendingEmail: 1,
+        twoFactor: 1,
+        resetToken: 1,
+        resetTokenExpiry: 1,
+        invitationToken: 1,
+        invitationTokenExpiry: 1,
+      },
+    }
+  );
+
+  console.log(`[PRIVACY] Erased personal data of user ${user._id}`);
+  await recordAudit('user.erased', {
+    target: user._id,
+    targetType: 'User',
+    metadata: { requestedAt: user.erasure?.requestedAt },
+  });
+  return user._id;
+};
+
+// Erases every account whose grace period has run out.
+const processDueErasures = async () => {
+  try {
+    const due = await User.find({
+      'erasure.scheduledFor': { $lte: new Date() },
+      'erasure.erasedAt': { $exists: false },
+    }).select('_id');
+
+    for (const user of due) {
+      try {
+        await eraseUser(user._id);
+      } catch (error) {
+        console.error(
+          `[PRIVACY] Failed to erase user ${user._id}:`,
+          error.message
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Error processing account erasures:', error);
+  }
+};
+
+if (erasure.enabled) {
+  console.log(`[PRIVACY] Account erasure job on (${erasure.schedule})`);
+  cron.schedule(erasure.schedule, processDueErasures);
+}
+
+module.exports = {
+  buildExport,
+  createExportBundle,
+  requestErasure,
+  cancelErasure,
+  eraseUser,
+  processDueErasures,
+};
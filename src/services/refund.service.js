@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const stripe = require('../config/stripeConfig');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const Order = require('../models/order.model');
+const Refund = require('../models/refund.model');
+const StoreSettings = require('../models/settings/storeSettings.model');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Builds the update that holds (sign 1) or releases (sign -1) a refund's
+// amount and line quantities on its order.
+const refundIncrement = (refund, sign) => {
+  const $inc = { refundedAmount: sign * refund.amount };
+  const arrayFilters = [];
+  refund.items.forEach((item, index) => {
+    $inc[`orderItems.$[line${index}].refundedQuantity`] = sign * item.quantity;
+    arrayFilters.push({ [`line${index}._id`]: item.orderItemId });
+  });
+  return { update: { $inc }, arrayFilters };
+};
+
+const paymentStatusFor = (order) =>
+  order.refundedAmount <= 0
+    ? 'paid'
+    : order.refundedAmount >= order.totalAmount
+    ? 'refunded'
+    : 'partially_refunded';
+
+// Works out which lines and how much a refund request covers.
+// `items` is [{ itemId, quantity }]; `amount` overrides the line total
+// (e.g. to keep a restocking fee) and alone means a goodwill refund.
+const buildRefund = (order, { items = [], amount }) => {
+  const lines = [];
+  for (const item of items) {
+    const orderItem = mongoose.Types.ObjectId.isValid(item.itemId)
+      ? order.orderItems.id(item.itemId)
+      : null;
+    if (!orderItem) {
+      throw new AppError(
+        `Item ${item.itemId} is not part of this order`,
+        400,
+        httpStatusText.FAIL
+      );
+    }
+
+    const quantity = Number(item.quantity);
+    const refundable = orderItem.quantity - (orderItem.refundedQuantity || 0);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > refundable) {
+      throw new AppError(
+        `Invalid refund quantity for ${orderItem.name}`,
+        400,
+        httpStatusText.FAIL,
+        { itemId: orderItem._id, requested: item.quantity, refundable }
+      );
+    }
+
+    lines.push({
+      orderItemId: orderItem._id,
+      quantity,
+      amount: round(orderItem.price * quantity),
+    });
+  }
+
+  const remaining = round(order.totalAmount - (order.refundedAmount || 0));
+  const linesTotal = round(lines.reduce((acc, line) => acc + line.amount, 0));
+
+  let refundAmount;
+  if (amount !== undefined && amount !== null) {
+    refundAmount = round(Number(amount));
+  } else if (lines.length > 0) {
+    refundAmount = linesTotal;
+  } else {
+    // Nothing specified: refund whatever is left on the order.
+    refundAmount = remaining;
+  }
+
+  if (isNaN(refundAmount) || refundAmount <= 0) {
+    throw new AppError(
+      'Refund amount must be a positive number',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  if (refundAmount > remaining) {
+    throw new AppError(
+      `Refund amount exceeds the refundable balance of ${remaining.toFixed(2)}`,
+      400,
+      httpStatusText.FAIL,
+      { requested: refundAmount, refundable: remaining }
+    );
+  }
+
+  return { lines, amount: refundAmount };
+};
+
+// Issues a refund against an order. Card orders go through Stripe; cod and
+// bank orders are recorded as paid out manually.
+const createRefund = async (
+  orderId,
+  { items, amount, reason, note, actor, returnRequestId } = {}
+) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    throw new AppError('Order not found', 404, httpStatusText.NOT_FOUND);
+  }
+
+  const method = order.paymentMethod === 'card' ? 'stripe' : 'manual';
+  if (
+    method === 'stripe' &&
+    !['paid', 'partially_refunded'].includes(order.paymentStatus)
+  ) {
+    throw new AppError(
+      'Only paid card orders can be refunded through Stripe',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const { lines, amount: refundAmount } = buildRefund(order, {
+    items,
+    amount,
+  });
+  const storeSettings = (await StoreSettings.findOne().lean()) || {};
+
+  const refund = new Refund({
+    orderId: order._id,
+    userId: order.userId,
+    returnRequestId,
+    items: lines,
+    amount: refundAmount,
+    currency: storeSettings.defaultCurrency || 'USD',
+    method,
+    status: method === 'manual' ? 'succeeded' : 'pending',
+    reason,
+    note,
+    issuedBy: actor?._id,
+  });
+
+  // Hold the amount on the order first; matching on the balance we read
+  // keeps two admins from refunding the same money twice. Orders saved
+  // before refunds existed have no balance stored; Mongoose reads it as 0.
+  const { update, arrayFilters } = refundIncrement(refund, 1);
+  const heldOrder = await Order.findOneAndUpdate(
+    {
+      _id: order._id,
+      refundedAmount: order.refundedAmount || { $in: [0, null] },
+    },
+    update,
+    { new: true, arrayFilters }
+  );
+  if (!heldOrder) {
+    throw new AppError(
+      'Order was refunded concurrently, please retry',
+      409,
+      httpStatusText.FAIL
+    );
+  }
+
+  if (method === 'stripe') {
+    try {
+      const stripeRefund = await stripe.refunds.create({
+        payment_intent: order.transactionId,
+        amount: Math.round(refundAmount * 100),
+        metadata: {
+          orderId: String(order._id),
+          refundId: String(refund._id),
+        },
+      });
+      refund.stripeRefundId = stripeRefund.id;
+      refund.status =
+        stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending';
+    } catch (err) {
+      const release = refundIncrement(refund, -1);
+      await Order.updateOne({ _id: order._id }, release.update, {
+        arrayFilters: release.arrayFilters,
+      });
+      refund.status = 'failed';
+      refund.failureReason = err.message;
+      await refund.save();
+      throw new AppError(
+        `Stripe error: ${err.message}`,
+        500,
+        httpStatusText.ERROR
+      );
+    }
+  }
+
+  await refund.save();
+  heldOrder.paymentStatus = paymentStatusFor(heldOrder);
+  await heldOrder.save();
+
+  console.log(
+    `[REFUND] ${refund.method} refund of ${refund.amount} on order ${heldOrder.orderNumber} (${refund.status})`
+  );
+  return { refund, order: heldOrder };
+};
+
+// Called for `charge.refunded` webhooks to settle refunds Stripe reported on.
+const syncStripeRefunds = async (charge) => {
+  for (const stripeRefund of charge.refunds?.data || []) {
+    const status =
+      stripeRefund.status === 'succeeded'
+        ? 'succeeded'
+        : ['failed', 'canceled'].includes(stripeRefund.status)
+        ? 'failed'
+        : 'pending';
+
+    const previous = await Refund.findOneAndUpdate(
+      { stripeRefundId: stripeRefund.id, status: { $ne: status } },
+      { status, failureReason: stripeRefund.failure_reason }
+    );
+
+    // A refund that failed after all no longer counts against the order.
+    if (previous && status === 'failed') {
+      const { update, arrayFilters } = refundIncrement(previous, -1);
+      const order = await Order.findByIdAndUpdate(previous.orderId, update, {
+        new: true,
+        arrayFilters,
+      });
+      if (order) {
+        order.paymentStatus = paymentStatusFor(order);
+        await order.save();
+      }
+    }
+  }
+};
+
+const getOrderRefunds = (orderId) =>
+  Refund.find({ orderId })
+    .populate({ path: 'issuedBy', select: 'username email' })
+    .sort({ createdAt: -1 })
+    .lean();
+
+module.exports = {
+  createRefund,
+  syncStripeRefunds,
+  getOrderRefunds,
+};
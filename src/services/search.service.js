@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const Product = require('../models/product.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const {
+  defaultLimit,
+  maxLimit,
+  maxTerms,
+  fuzzy,
+  prefix,
+  vocabularyTtlMs,
+  highlight,
+} = require('../config/search');
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+const tokenize = (text) =>
+  String(text || '')
+    .toLowerCase()
+    .match(WORD) || [];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Edit distance between two words, counting a swap of neighbouring letters
+// as one edit. Gives up once it exceeds `max`.
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Words used in the catalogue with how many products use them. Typos and
+// prefixes are resolved against it, so it is rebuilt every few minutes and
+// whenever products change through this API.
+let vocabulary = null;
+let vocabularyBuiltAt = 0;
+
+const getVocabulary = async () => {
+  if (vocabulary && Date.now() - vocabularyBuiltAt < vocabularyTtlMs) {
+    return vocabulary;
+  }
+
+  const products = await Product.find({ deleted: false })
+    .select('name subtitle brand categoryNames')
+    .lean();
+  const words = new Map();
+  for (const product of products) {
+    const text = [
+      product.name,
+      product.subtitle,
+      product.brand,
+      ...(product.categoryNames || []),
+    ].join(' ');
+    for (const word of new Set(tokenize(text))) {
+      words.set(word, (words.get(word) || 0) + 1);
+    }
+  }
+
+  vocabulary = words;
+  vocabularyBuiltAt = Date.now();
+  return vocabulary;
+};
+
+const invalidateVocabulary = () => {
+  vocabulary = null;
+};
+
+// Most used catalogue words within the allowed edit distance of `term`.
+const correctionsFor = (term, words) => {
+  if (term.length < fuzzy.minLength) return [];
+  const maxEdits =
+    term.length <= 5 ? fuzzy.shortWordEdits : fuzzy.longWordEdits;
+
+  const candidates = [];
+  for (const [word, count] of words) {
+    const distance = editDistance(term, word, maxEdits);
+    if (distance <= maxEdits) candidates.push({ word, distance, count });
+  }
+  return candidates
+    .sort((a, b) => a.distance - b.distance || b.count - a.count)
+    .slice(0, fuzzy.maxCorrections)
+    .map((candidate) => candidate.word);
+};
+
+const completionsFor = (term, words) => {
+  if (term.length < prefix.minLength) return [];
+  return [...words]
+    .filter(([word]) => word !== term && word.startsWith(term))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, prefix.maxExpansions)
+    .map(([word]) => word);
+};
+
+// Turns what the user typed into the words to send to the text index.
+// Unknown words are swapped for their closest catalogue words and, unless
+// `autocomplete` is off, the last word also matches words it starts.
+const expandQuery = async (q, { autocomplete = true } = {}) => {
+  const terms = tokenize(q).slice(0, maxTerms);
+  if (terms.length === 0) return null;
+
+  const words = await getVocabulary();
+  const searchTerms = new Set();
+  const corrections = {};
+
+  terms.forEach((term, index) => {
+    const isLast = index === terms.length - 1;
+    const completions =
+      autocomplete && isLast ? completionsFor(term, words) : [];
+
+    if (words.has(term) || completions.length > 0) {
+      searchTerms.add(term);
+    } else {
+      const corrected = correctionsFor(term, words);
+      if (corrected.length > 0) corrections[term] = corrected[0];
+      // Keep the word as typed too: the index stems words, so it may match.
+      [term, ...corrected].forEach((word) => searchTerms.add(word));
+    }
+    completions.forEach((word) => searchTerms.add(word));
+  });
+
+  const correctedQuery = Object.keys(corrections).length
+    ? terms.map((term) => corrections[term] || term).join(' ')
+    : null;
+
+  return { terms, searchTerms: [...searchTerms], correctedQuery };
+};
+
+// A `find()` filter matching products for a free-text query, or an empty
+// filter when the query has no words.
+const buildTextFilter = async (q, options) => {
+  const expanded = await expandQuery(q, options);
+  if (!expanded) return {};
+  return { $text: { $search: expanded.searchTerms.join(' ') } };
+};
+
+// Wraps words starting with any of `terms` in the highlight tags. The rest
+// of the text is HTML-escaped so the result can be rendered as is.
+const highlightText = (text, terms) => {
+  if (!text) return text;
+  if (terms.length === 0) return escapeHtml(text);
+
+  const pattern = new RegExp(
+    `(^|[^\\p{L}\\p{N}])((?:${terms
+      .map(escapeRegExp)
+      .join('|')})[\\p{L}\\p{N}]*)`,
+    'giu'
+  );
+  return text
+    .split(pattern)
+    .map((part, index) =>
+      index % 3 === 2
+        ? `${highlight.pre}${escapeHtml(part)}${highlight.post}`
+        : escapeHtml(part)
+    )
+    .join('');
+};
+
+const parseCategories = (categories) =>
+  (Array.isArray(categories) ? categories : String(categories).split(','))
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .map((id) => {
+      if (!mongoose.isValidObjectId(id)) {
+        throw new AppError(
+          'Invalid Category ID format.',
+          400,
+          httpStatusText.FAIL
+        );
+      }
+      return new mongoose.Types.ObjectId(id);
+    });
+
+// Ranked, paginated product search.
+const searchProducts = async ({
+  q,
+  page = 1,
+  limit = defaultLimit,
+  categories,
+  autocomplete = true,
+}) => {
+  page = Number(page);
+  limit = Number(limit);
+  if (isNaN(limit) || isNaN(page) || limit < 1 || page < 1) {
+    throw new AppError(
+      'Invalid pagination parameters.',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  limit = Math.min(limit, maxLimit);
+
+  const expanded = await expandQuery(q, { autocomplete });
+  if (!expanded) {
+    throw new AppError(
+      'Please enter a search keyword!',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const match = {
+    $text: { $search: expanded.searchTerms.join(' ') },
+    deleted: false,
+  };
+  if (categories) match.categories = { $in: parseCategories(categories) };
+
+  const [result] = await Product.aggregate([
+    { $match: match },
+    { $addFields: { score: { $meta: 'textScore' } } },
+    { $sort: { score: -1, date: -1 } },
+    {
+      $facet: {
+        products: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: 'categories',
+              foreignField: '_id',
+              as: 'categories',
+            },
+          },
+          { $addFields: { firstColor: { $arrayElemAt: ['$colors', 0] } } },
+          {
+            $project: {
+              _id: 1,
+              name: 1,
+              subtitle: 1,
+              brand: 1,
+              image: { $arrayElemAt: ['$firstColor.images.url', 0] },
+              price: 1,
+              sale: 1,
+              date: 1,
+              score: 1,
+              categories: {
+                $map: {
+                  input: '$categories',
+                  as: 'category',
+                  in: { _id: '$$category._id', name: '$$category.name' },
+                },
+              },
+            },
+          },
+        ],
+        total: [{ $count: 'count' }],
+      },
+    },
+  ]);
+
+  const totalProducts = result.total[0]?.count || 0;
+  const products = result.products.map((product) => ({
+    ...product,
+    highlights: {
+      name: highlightText(product.name, expanded.searchTerms),
+      subtitle: highlightText(product.subtitle, expanded.searchTerms),
+    },
+  }));
+
+  return {
+    query: q,
+    correctedQuery: expanded.correctedQuery,
+    totalProducts,
+    currentPage: page,
+    totalPages: Math.ceil(totalProducts / limit),
+    products,
+  };
+};
+
+// Refreshes the fields search reads instead of the source data on the
+// products matching `filter`: the category names for the text index and
+// the name words for prefix lookups. The words are split here rather than
+// in the pipeline so they match what `tokenize` makes of a query; Mongo's
+// $toLower only lowercases ASCII.
+const syncSearchFields = async (filter = {}) => {
+  try {
+    const products = await Product.aggregate([
+      { $match: filter },
+      {
+        $lookup: {
+          from: 'categories',
+          localField: 'categories',
+          foreignField: '_id',
+          as: 'categoryDocs',
+        },
+      },
+      { $project: { name: 1, categoryNames: '$categoryDocs.name' } },
+    ]);
+    if (products.length > 0) {
+      await Product.bulkWrite(
+        products.map((product) => ({
+          updateOne: {
+            filter: { _id: product._id },
+            update: {
+              $set: {
+                categoryNames: product.categoryNames,
+                nameTokens: [...new Set(tokenize(product.name))],
+              },
+            },
+          },
+        }))
+      );
+    }
+    invalidateVocabulary();
+  } catch (error) {
+    console.error('[SEARCH] Failed to sync search fields:', error.message);
+  }
+};
+
+module.exports = {
+  tokenize,
+  editDistance,
+  expandQuery,
+  buildTextFilter,
+  highlightText,
+  searchProducts,
+  escapeRegExp,
+  syncSearchFields,
+  invalidateVocabulary,
+};
@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const tokenRevocation = require('./tokenRevocation.service');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const { randomToken, hashToken } = require('../utils/token');
+const {
+  accessTokenTtl,
+  refreshTokenTtlDays,
+  loginCodeTtlSeconds,
+} = require('../config/auth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const newRefreshToken = () => randomToken(48);
+
+const refreshExpiry = () => new Date(Date.now() + refreshTokenTtlDays * DAY_MS);
+
+const issueAccessToken = (user, session) =>
+  jwt.sign(
+    {
+      _id: user._id,
+      email: user.email,
+      username: user.username,
+      role: user.role,
+      thumbnail: user.thumbnail,
+      sid: session._id,
+      tv: user.tokenVersion || 0,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl, jwtid: crypto.randomUUID() }
+  );
+
+const describeRequest = (req) => ({
+  userAgent: req.headers['user-agent'],
+  ip: req.ip,
+  deviceName: req.body?.deviceName,
+});
+
+// Opens a session for a device and returns its first token pair.
+const createSession = async (user, req) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    expiresAt: refreshExpiry(),
+    ...describeRequest(req),
+  });
+
+  console.log(`[SESSION] Opened ${session._id} for user ${user._id}`);
+  return {
+    session,
+    accessToken: issueAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+// Opens a session whose tokens are handed out later, in exchange for the
+// returned one-time code. Used where tokens would otherwise end up in a URL.
+// Until then the session expires as soon as the code does. With a
+// `challenge` ('verify' or 'setup') the code is traded for a 2FA challenge
+// instead, and the session is dropped.
+const createLoginCode = async (user, req, { challenge } = {}) => {
+  const code = randomToken(32);
+  const session = await Session.create({
+    userId: user._id,
+    refreshTokenHash: hashToken(newRefreshToken()),
+    loginCodeHash: hashToken(code),
+    loginChallenge: challenge,
+    expiresAt: new Date(Date.now() + loginCodeTtlSeconds * 1000),
+    ...describeRequest(req),
+  });
+
+  console.log(`[SESSION] Opened ${session._id} for user ${user._id} (code)`);
+  return code;
+};
+
+// Trades a login code for the session's first token pair, or for
+// `{ user, challenge }` when the login still needs a second factor. Works
+// once.
+const redeemLoginCode = async (code, req) => {
+  const invalid = () =>
+    new AppError('Invalid or expired login code', 401, httpStatusText.FAIL);
+  if (!code || typeof code !== 'string') throw invalid();
+
+  const refreshToken = newRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    {
+      loginCodeHash: hashToken(code),
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      $unset: { loginCodeHash: 1 },
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+    },
+    { new: true }
+  );
+  if (!session) throw invalid();
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isDeleted) {
+    await revokeSession(session.userId, session._id, 'user unavailable');
+    throw invalid();
+  }
+
+  if (session.loginChallenge) {
+    await Session.deleteOne({ _id: session._id });
+    return { user, challenge: session.loginChallenge };
+  }
+
+  return {
+    session,
+    accessToken: issueAccessToken(user, session),
+    refreshToken,
+  };
+};
+
+// Swaps a refresh token for a new pair. A token that was already rotated
+// means it leaked, so the whole session is revoked.
+const rotateSession = async (refreshToken, req) => {
+  const invalid = () =>
+    new AppError('Invalid or expired refresh token', 401, httpStatusText.FAIL);
+  if (!refreshToken) throw invalid();
+
+  const hash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    {
+      refreshTokenHash: hash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    {
+      refreshTokenHash: hashToken(nextToken),
+      previousTokenHash: hash,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      userAgent: req.headers['user-agent'],
+      ip: req.ip,
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHash: hash, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'refresh token reuse' }
+    );
+    if (reused) {
+      tokenRevocation.markSessionsRevoked([reused._id]);
+      console.warn(
+        `[SESSION] Refresh token reuse on ${reused._id}, session revoked`
+      );
+    }
+    throw invalid();
+  }
+
+  const user = await User.findById(session.userId);
+  if (!user || user.isDeleted) {
+    await revokeSession(session.userId, session._id, 'user unavailable');
+    throw invalid();
+  }
+
+  return {
+    session,
+    accessToken: issueAccessToken(user, session),
+    refreshToken: nextToken,
+  };
+};
+
+const listSessions = (userId) =>
+  Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousTokenHash')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+
+const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+  if (session) tokenRevocation.markSessionsRevoked([session._id]);
+  return session;
+};
+
+// Revokes every session of a user, optionally keeping the current one.
+const revokeAllSessions = async (userId, { exceptId, reason } = {}) => {
+  const filter = { userId, revokedAt: null };
+  if (exceptId) filter._id = { $ne: exceptId };
+  const sessionIds = await Session.find(filter).distinct('_id');
+  if (sessionIds.length === 0) return 0;
+
+  const result = await Session.updateMany(
+    { _id: { $in: sessionIds }, revokedAt: null },
+    {
+      revokedAt: new Date(),
+      revokedReason: reason || 'revoked by user',
+    }
+  );
+  tokenRevocation.markSessionsRevoked(sessionIds);
+  return result.modifiedCount;
+};
+
+module.exports = {
+  issueAccessToken,
+  createSession,
+  createLoginCode,
+  redeemLoginCode,
+  rotateSession,
+  listSessions,
+  revokeSession,
+  revokeAllSessions,
+};
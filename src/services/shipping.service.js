@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const ShippingMethod = require('../models/settings/shippingMethod.model');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const getActiveShippingMethod = async (shippingMethodId) => {
+  if (!mongoose.Types.ObjectId.isValid(shippingMethodId)) {
+    throw new AppError('Invalid shipping method', 400, httpStatusText.FAIL);
+  }
+  const method = await ShippingMethod.findOne({
+    _id: shippingMethodId,
+    deletedAt: null,
+    isActive: true,
+  }).lean();
+  if (!method) {
+    throw new AppError(
+      'Shipping method not available',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+  return method;
+};
+
+// What customers may pick from: the rate rules, none of the bookkeeping.
+const listShippingMethods = () =>
+  ShippingMethod.find({ deletedAt: null, isActive: true })
+    .select('_id name cost countryRates weightTiers')
+    .sort({ cost: 1, createdAt: 1 })
+    .lean();
+
+// Used until the customer picks a method: the cheapest active one.
+const getDefaultShippingMethod = () =>
+  ShippingMethod.findOne({ deletedAt: null, isActive: true })
+    .sort({ cost: 1, createdAt: 1, _id: 1 })
+    .lean();
+
+// Total weight of priced cart lines; products without a weight count as 0.
+const getCartWeight = (lines) =>
+  round(
+    lines.reduce((acc, line) => acc + (line.weight || 0) * line.quantity, 0)
+  );
+
+// Cost of sending `weight` to `country` with `method`.
+const calculateShippingCost = (method, { weight = 0, country } = {}) => {
+  const countryRate = country
+    ? (method.countryRates || []).find(
+        (rate) =>
+          rate.country.toLowerCase() === String(country).trim().toLowerCase()
+      )
+    : null;
+  if (countryRate) return round(countryRate.cost);
+
+  const tiers = [...(method.weightTiers || [])].sort(
+    (a, b) => a.maxWeight - b.maxWeight
+  );
+  if (tiers.length > 0) {
+    const tier =
+      tiers.find((t) => weight <= t.maxWeight) || tiers[tiers.length - 1];
+    return round(tier.cost);
+  }
+
+  return round(method.cost);
+};
+
+// Shipping line for a quote with the picked method, or the default one when
+// none was picked. Null when the store has no active method at all.
+const quoteShipping = async (shippingMethodId, { lines, address }) => {
+  const method = shippingMethodId
+    ? await getActiveShippingMethod(shippingMethodId)
+    : await getDefaultShippingMethod();
+  if (!method) return null;
+
+  const weight = getCartWeight(lines);
+  return {
+    methodId: method._id,
+    name: method.name,
+    weight,
+    cost: calculateShippingCost(method, { weight, country: address?.country }),
+  };
+};
+
+module.exports = {
+  listShippingMethods,
+  calculateShippingCost,
+  quoteShipping,
+};
@@ -1,13 +1,40 @@
 const stripe = require('../config/stripeConfig');
 const httpStatusText = require('../utils/httpStatusText');
 const AppError = require('../utils/appError');
+const Order = require('../models/order.model');
+const PaymentEvent = require('../models/paymentEvent.model');
+const refundService = require('./refund.service');
+
+// Webhook event type -> order payment status it settles to.
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': (object) => ({
+    paymentIntentId: object.id,
+    paymentStatus: 'paid',
+  }),
+  'payment_intent.payment_failed': (object) => ({
+    paymentIntentId: object.id,
+    paymentStatus: 'failed',
+  }),
+  'charge.refunded': (object) => ({
+    paymentIntentId: object.payment_intent,
+    paymentStatus:
+      object.amount_refunded >= object.amount
+        ? 'refunded'
+        : 'partially_refunded',
+  }),
+};
 
 class StripeService {
-  async createPaymentIntent(amount, currency = 'usd') {
+  toMinorUnits(amount) {
+    return Math.round(amount * 100);
+  }
+
+  async createPaymentIntent(amount, currency = 'usd', metadata = {}) {
     try {
       const paymentIntent = await stripe.paymentIntents.create({
-        amount: Math.round(amount * 100),
+        amount: this.toMinorUnits(amount),
         currency,
+        metadata,
         payment_method_types: ['card']
       });
 
@@ -15,7 +42,9 @@ class StripeService {
         status: httpStatusText.SUCCESS,
         data: {
           clientSecret: paymentIntent.client_secret,
-          paymentIntentId: paymentIntent.id
+          paymentIntentId: paymentIntent.id,
+          amount,
+          currency
         }
       };
     } catch (err) {
@@ -26,6 +55,146 @@ class StripeService {
       );
     }
   }
+
+  async retrievePaymentIntent(paymentIntentId) {
+    try {
+      return await stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (err) {
+      throw new AppError(
+        `Stripe error: ${err.message}`,
+        err.statusCode === 404 ? 400 : 500,
+        err.statusCode === 404 ? httpStatusText.FAIL : httpStatusText.ERROR
+      );
+    }
+  }
+
+  // Checks that an intent was created by us for exactly this quote.
+  // Returns the reasons it does not match, empty when it does.
+  verifyPaymentIntent(paymentIntent, { userId, total, currency, cartHash }) {
+    const mismatches = [];
+    if (paymentIntent.amount !== this.toMinorUnits(total)) {
+      mismatches.push('amount');
+    }
+    if (paymentIntent.currency !== currency.toLowerCase()) {
+      mismatches.push('currency');
+    }
+    if (paymentIntent.metadata?.userId !== String(userId)) {
+      mismatches.push('userId');
+    }
+    if (paymentIntent.metadata?.cartHash !== cartHash) {
+      mismatches.push('cartHash');
+    }
+    return mismatches;
+  }
+
+  constructWebhookEvent(payload, signature) {
+    try {
+      return stripe.webhooks.constructEvent(
+        payload,
+        signature,
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (err) {
+      throw new AppError(
+        `Webhook signature verification failed: ${err.message}`,
+        400,
+        httpStatusText.FAIL
+      );
+    }
+  }
+
+  async handleWebhookEvent(event) {
+    let record;
+    try {
+      record = await PaymentEvent.create({
+        eventId: event.id,
+        type: event.type,
+        stripeCreatedAt: new Date(event.created * 1000),
+        payload: event,
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      record = await PaymentEvent.findOne({ eventId: event.id });
+      // Only an event whose processing failed is worth another attempt.
+      if (record.status !== 'failed') {
+        console.log(`[STRIPE WEBHOOK] Duplicate event ignored: ${event.id}`);
+        return { duplicate: true, status: record.status };
+      }
+    }
+
+    const handler = EVENT_HANDLERS[event.type];
+    if (!handler) {
+      record.status = 'ignored';
+      record.processedAt = new Date();
+      await record.save();
+      return { duplicate: false, status: record.status };
+    }
+
+    try {
+      const { paymentIntentId, paymentStatus } = handler(event.data.object);
+      record.paymentIntentId = paymentIntentId;
+
+      const filter = { transactionId: paymentIntentId };
+      // A late failure event must not undo a payment that already went through.
+      if (paymentStatus === 'failed') {
+        filter.paymentStatus = { $ne: 'paid' };
+      }
+
+      const order = await Order.findOneAndUpdate(
+        filter,
+        { paymentStatus },
+        { new: true }
+      );
+      if (order) {
+        record.orderId = order._id;
+        console.log(
+          `[STRIPE WEBHOOK] Order ${order.orderNumber} payment ${paymentStatus}`
+        );
+      } else {
+        // The order is usually placed after the intent settles; placeOrder
+        // picks the status up from this record.
+        console.log(
+          `[STRIPE WEBHOOK] No order yet for payment intent ${paymentIntentId}`
+        );
+      }
+
+      if (event.type === 'charge.refunded') {
+        await refundService.syncStripeRefunds(event.data.object);
+      }
+
+      record.status = 'processed';
+      record.error = undefined;
+      record.processedAt = new Date();
+      await record.save();
+      return { duplicate: false, status: record.status };
+    } catch (err) {
+      record.status = 'failed';
+      record.error = err.message;
+      await record.save();
+      throw err;
+    }
+  }
+
+  // Latest payment status recorded by webhooks for an intent, if any.
+  async getRecordedPaymentStatus(paymentIntentId) {
+    const events = await PaymentEvent.find({
+      paymentIntentId,
+      status: 'processed',
+    })
+      .sort({ stripeCreatedAt: -1 })
+      .lean();
+
+    const statuses = events
+      .filter((event) => EVENT_HANDLERS[event.type])
+      .map(
+        (event) =>
+          EVENT_HANDLERS[event.type](event.payload.data.object).paymentStatus
+      );
+
+    if (statuses.length === 0) return null;
+    if (statuses[0] === 'failed' && statuses.includes('paid')) return 'paid';
+    return statuses[0];
+  }
 }
 
-module.exports = new StripeService();
\ No newline at end of file
+module.exports = new StripeService();
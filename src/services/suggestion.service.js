@@ -0,0 +1,214 @@
+const Product = require('../models/product.model');
+const Category = require('../models/category.model');
+const SearchQuery = require('../models/searchQuery.model');
+const LruCache = require('../utils/lruCache');
+const { tokenize, escapeRegExp } = require('./search.service');
+const { suggest, maxTerms } = require('../config/search');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const suggestionCache = new LruCache(suggest.cache);
+
+const normalizeQuery = (q) => tokenize(q).slice(0, maxTerms).join(' ');
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Counts a storefront search. Runs after the response is on its way, so
+// failures are only logged.
+const recordSearch = async (q, resultCount) => {
+  const query = normalizeQuery(q);
+  if (!query) return;
+
+  const now = new Date();
+  try {
+    await SearchQuery.updateOne(
+      { query, day: startOfDay(now) },
+      {
+        $inc: { count: 1, zeroResultCount: resultCount === 0 ? 1 : 0 },
+        $set: { lastResultCount: resultCount, lastSearchedAt: now },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    console.error(`[SEARCH] Failed to record query "${query}":`, error.message);
+  }
+};
+
+// Categories and popular queries are small enough to keep in memory; they
+// are reloaded every few minutes.
+let categories = [];
+let popularQueries = [];
+let loadedAt = 0;
+let loading = null;
+
+const loadSuggestionSources = async () => {
+  const since = new Date(Date.now() - suggest.popularWindowDays * DAY_MS);
+  const [categoryDocs, queries] = await Promise.all([
+    Category.find().select('_id name image').lean(),
+    SearchQuery.aggregate([
+      { $match: { day: { $gte: since }, lastResultCount: { $gt: 0 } } },
+      { $group: { _id: '$query', count: { $sum: '$count' } } },
+      { $sort: { count: -1 } },
+      { $limit: suggest.popularPoolSize },
+    ]),
+  ]);
+
+  categories = categoryDocs.map((category) => ({
+    ...category,
+    words: tokenize(category.name),
+  }));
+  popularQueries = queries.map((entry) => ({
+    query: entry._id,
+    count: entry.count,
+  }));
+  loadedAt = Date.now();
+};
+
+const getSuggestionSources = async () => {
+  if (Date.now() - loadedAt >= suggest.refreshMs) {
+    // Concurrent requests share one reload.
+    loading =
+      loading ||
+      loadSuggestionSources().finally(() => {
+        loading = null;
+      });
+    await loading;
+  }
+  return { categories, popularQueries };
+};
+
+// Every word typed so far must match a word of the text; the last one may
+// be incomplete.
+const matchesWords = (words, terms) => {
+  const last = terms[terms.length - 1];
+  return (
+    terms.slice(0, -1).every((term) => words.includes(term)) &&
+    words.some((word) => word.startsWith(last))
+  );
+};
+
+const findProducts = (terms) => {
+  const last = terms[terms.length - 1];
+  return Product.find({
+    deleted: false,
+    $and: [
+      ...terms.slice(0, -1).map((term) => ({ nameTokens: term })),
+      { nameTokens: { $regex: `^${escapeRegExp(last)}` } },
+    ],
+  })
+    .select('_id name colors.images')
+    .sort({ date: -1 })
+    .limit(suggest.products)
+    .lean();
+};
+
+// Product names, categories and popular past searches starting with what
+// has been typed so far.
+const getSuggestions = async (q) => {
+  const query = normalizeQuery(q);
+  const empty = { query, products: [], categories: [], queries: [] };
+  if (query.length < suggest.minLength) return empty;
+
+  const cached = suggestionCache.get(query);
+  if (cached) return cached;
+
+  const startedAt = Date.now();
+  const terms = query.split(' ');
+  const [products, sources] = await Promise.all([
+    findProducts(terms),
+    getSuggestionSources(),
+  ]);
+
+  const suggestions = {
+    query,
+    products: products.map((product) => ({
+      _id: product._id,
+      name: product.name,
+      thumbnail: product.colors?.[0]?.images?.[0]?.url || null,
+    })),
+    categories: sources.categories
+      .filter((category) => matchesWords(category.words, terms))
+      .slice(0, suggest.categories)
+      .map(({ words, ...category }) => category),
+    queries: sources.popularQueries
+      .filter((entry) => entry.query !== query && entry.query.startsWith(query))
+      .slice(0, suggest.queries)
+      .map((entry) => entry.query),
+  };
+  suggestionCache.set(query, suggestions);
+
+  const tookMs = Date.now() - startedAt;
+  if (tookMs > suggest.budgetMs) {
+    console.warn(
+      `[SEARCH] Suggestions for "${query}" took ${tookMs}ms (budget ${suggest.budgetMs}ms)`
+    );
+  }
+  return suggestions;
+};
+
+// Most searched queries between `from` and `to`, plus the ones that most
+// often found nothing.
+const getPopularSearchReport = async ({ from, to, limit = 20 }) => {
+  const match = {};
+  if (from || to) {
+    match.day = {};
+    if (from) match.day.$gte = startOfDay(from);
+    if (to) match.day.$lte = new Date(to);
+  }
+
+  const [report] = await SearchQuery.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$query',
+        count: { $sum: '$count' },
+        zeroResultCount: { $sum: '$zeroResultCount' },
+        lastSearchedAt: { $max: '$lastSearchedAt' },
+      },
+    },
+    {
+      $facet: {
+        popular: [{ $sort: { count: -1, _id: 1 } }, { $limit: limit }],
+        noResults: [
+          { $match: { zeroResultCount: { $gt: 0 } } },
+          { $sort: { zeroResultCount: -1, _id: 1 } },
+          { $limit: limit },
+        ],
+        totals: [
+          {
+            $group: {
+              _id: null,
+              searches: { $sum: '$count' },
+              uniqueQueries: { $sum: 1 },
+              zeroResultSearches: { $sum: '$zeroResultCount' },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const rename = (entries) =>
+    entries.map(({ _id, ...entry }) => ({ query: _id, ...entry }));
+  const { _id, ...totals } = report.totals[0] || {
+    searches: 0,
+    uniqueQueries: 0,
+    zeroResultSearches: 0,
+  };
+
+  return {
+    totals,
+    popular: rename(report.popular),
+    noResults: rename(report.noResults),
+  };
+};
+
+module.exports = {
+  recordSearch,
+  getSuggestions,
+  getPopularSearchReport,
+};
@@ -0,0 +1,83 @@
+const TaxRule = require('../models/settings/taxRule.model');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const normalize = (value) =>
+  String(value || '')
+    .trim()
+    .toLowerCase();
+
+const ruleMatches = (rule, { country, region, zipCode }) => {
+  if (normalize(rule.country) !== normalize(country)) return false;
+  if (rule.region && normalize(rule.region) !== normalize(region)) return false;
+  if (
+    rule.zipPrefix &&
+    !normalize(zipCode).startsWith(normalize(rule.zipPrefix))
+  ) {
+    return false;
+  }
+  return true;
+};
+
+const isExempt = (rule, line) => {
+  const exempt = (rule.exemptCategories || []).map(String);
+  return (line.categories || []).some((id) => exempt.includes(String(id)));
+};
+
+// Works out the tax for a priced cart shipped to `address`.
+// `lines` are [{ categories, subtotal }]; `discount` is the goods discount,
+// spread over the lines in proportion to their subtotal.
+// Every matching rule yields one tax line. Exclusive tax is what has to be
+// added to the total; inclusive tax is already part of the prices.
+const calculateTax = async ({
+  lines,
+  subtotal,
+  discount = 0,
+  shippingCost = 0,
+  address,
+}) => {
+  const empty = { taxLines: [], taxTotal: 0, exclusiveTaxTotal: 0 };
+  if (!address || !address.country) return empty;
+
+  const rules = await TaxRule.find({ deletedAt: null, isActive: true }).lean();
+  const matching = rules.filter((rule) => ruleMatches(rule, address));
+  if (matching.length === 0) return empty;
+
+  const discountRatio = subtotal > 0 ? Math.min(discount / subtotal, 1) : 0;
+
+  const taxLines = matching
+    .map((rule) => {
+      const taxableGoods = lines
+        .filter((line) => !isExempt(rule, line))
+        .reduce((acc, line) => acc + line.subtotal * (1 - discountRatio), 0);
+      const taxableAmount = round(
+        taxableGoods + (rule.appliesToShipping ? shippingCost : 0)
+      );
+      const amount = rule.inclusive
+        ? round(taxableAmount - taxableAmount / (1 + rule.rate / 100))
+        : round((taxableAmount * rule.rate) / 100);
+
+      return {
+        ruleId: rule._id,
+        name: rule.name,
+        rate: rule.rate,
+        inclusive: rule.inclusive,
+        taxableAmount,
+        amount,
+      };
+    })
+    .filter((line) => line.amount > 0);
+
+  const taxTotal = round(taxLines.reduce((acc, line) => acc + line.amount, 0));
+  const exclusiveTaxTotal = round(
+    taxLines
+      .filter((line) => !line.inclusive)
+      .reduce((acc, line) => acc + line.amount, 0)
+  );
+
+  return { taxLines, taxTotal, exclusiveTaxTotal };
+};
+
+module.exports = {
+  calculateTax,
+};
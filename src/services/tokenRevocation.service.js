@@ -0,0 +1,98 @@
+const RevokedToken = require('../models/revokedToken.model');
+const Session = require('../models/session.model');
+const User = require('../models/user.model');
+const LruCache = require('../utils/lruCache');
+const { revocationCache } = require('../config/auth');
+
+// Every authenticated request asks the questions below, so answers are
+// cached briefly. Other instances see a revocation once their entry expires.
+const revokedJtis = new LruCache(revocationCache);
+const tokenVersions = new LruCache(revocationCache);
+const revokedSessions = new LruCache(revocationCache);
+
+// Revokes a single access token (logout) until it would have expired.
+const revokeToken = async (decodedToken, reason) => {
+  if (!decodedToken.jti) return;
+  const expiresAt = decodedToken.exp
+    ? new Date(decodedToken.exp * 1000)
+    : new Date();
+
+  await RevokedToken.updateOne(
+    { jti: decodedToken.jti },
+    { $setOnInsert: { userId: decodedToken._id, reason, expiresAt } },
+    { upsert: true }
+  );
+  revokedJtis.set(decodedToken.jti, true);
+};
+
+// Revokes every access token issued to a user so far by moving their
+// tokenVersion on. Returns the new version.
+const revokeUserTokens = async (userId, reason) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true }
+  ).select('tokenVersion');
+  if (!user) return null;
+
+  tokenVersions.set(String(userId), user.tokenVersion);
+  console.log(
+    `[TOKENS] Revoked tokens of user ${userId} (${reason}), now at version ${user.tokenVersion}`
+  );
+  return user.tokenVersion;
+};
+
+const getTokenVersion = async (userId) => {
+  const key = String(userId);
+  let version = tokenVersions.get(key);
+  if (version === undefined) {
+    const user = await User.findById(userId).select('tokenVersion').lean();
+    version = user ? user.tokenVersion || 0 : null;
+    tokenVersions.set(key, version);
+  }
+  return version;
+};
+
+const isJtiRevoked = async (jti) => {
+  let revoked = revokedJtis.get(jti);
+  if (revoked === undefined) {
+    revoked = Boolean(await RevokedToken.exists({ jti }));
+    revokedJtis.set(jti, revoked);
+  }
+  return revoked;
+};
+
+// Called by the session service once it has revoked sessions, so their
+// access tokens stop working on this instance straight away.
+const markSessionsRevoked = (sessionIds) => {
+  sessionIds.forEach((id) => revokedSessions.set(String(id), true));
+};
+
+// A session that is gone (expired or erased) counts as revoked.
+const isSessionRevoked = async (sid) => {
+  const key = String(sid);
+  let revoked = revokedSessions.get(key);
+  if (revoked === undefined) {
+    revoked = !(await Session.exists({ _id: sid, revokedAt: null }));
+    revokedSessions.set(key, revoked);
+  }
+  return revoked;
+};
+
+const isRevoked = async (decodedToken) => {
+  if (!decodedToken.jti) return true;
+  if (await isJtiRevoked(decodedToken.jti)) return true;
+  if (decodedToken.sid && (await isSessionRevoked(decodedToken.sid))) {
+    return true;
+  }
+
+  const version = await getTokenVersion(decodedToken._id);
+  return version === null || (decodedToken.tv || 0) !== version;
+};
+
+module.exports = {
+  revokeToken,
+  revokeUserTokens,
+  markSessionsRevoked,
+  isRevoked,
+};
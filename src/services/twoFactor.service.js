@@ -0,0 +1,201 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/user.model');
+const StoreSettings = require('../models/settings/storeSettings.model');
+const AppError = require('../utils/appError');
+const httpStatusText = require('../utils/httpStatusText');
+const totp = require('../utils/totp');
+const { randomToken, hashToken } = require('../utils/token');
+const { staffRoles, twoFactor } = require('../config/auth');
+
+const CHALLENGE_PURPOSE = '2fa';
+
+const invalidCode = () =>
+  new AppError('Invalid authentication code', 401, httpStatusText.FAIL);
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select('+twoFactor');
+  if (!user || user.isDeleted) {
+    throw new AppError('User not found', 404, httpStatusText.NOT_FOUND);
+  }
+  return user;
+};
+
+const isRequiredFor = async (user) => {
+  if (!staffRoles.includes(user.role)) return false;
+  const storeSettings = (await StoreSettings.findOne().lean()) || {};
+  return Boolean(storeSettings.requireStaffTwoFactor);
+};
+
+// What a password login still needs: null, 'verify' (enter a code) or
+// 'setup' (policy requires 2FA and the account has none yet).
+const loginRequirement = async (user) => {
+  const withTwoFactor = await User.findById(user._id)
+    .select('+twoFactor')
+    .lean();
+  if (withTwoFactor?.twoFactor?.enabled) return 'verify';
+  return (await isRequiredFor(user)) ? 'setup' : null;
+};
+
+// Short-lived token proving the password step passed. It has no jti, so
+// verifyToken never accepts it as an access token.
+const createChallenge = (user, requirement) =>
+  jwt.sign(
+    {
+      _id: user._id,
+      purpose: CHALLENGE_PURPOSE,
+      setup: requirement === 'setup',
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: twoFactor.challengeTtl }
+  );
+
+const readChallenge = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    if (decoded.purpose === CHALLENGE_PURPOSE) return decoded;
+  } catch (err) {
+    // falls through to the error below
+  }
+  throw new AppError(
+    'Invalid or expired challenge token',
+    401,
+    httpStatusText.FAIL
+  );
+};
+
+// Recovery codes are shown as `abcde-12345`; case and dashes don't matter.
+const normalizeRecoveryCode = (code) =>
+  String(code || '')
+    .replace(/[^a-z0-9]/gi, '')
+    .toLowerCase();
+
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: twoFactor.recoveryCodeCount }, () =>
+    randomToken(5).replace(/(.{5})/, '$1-')
+  );
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeRecoveryCode(code))),
+  };
+};
+
+// Accepts a TOTP code (not seen before) and records its step.
+const checkCode = (user, secret, code) => {
+  const step = totp.verifyCode(secret, code);
+  if (step === null || step <= (user.twoFactor.lastUsedStep ?? -1)) {
+    throw invalidCode();
+  }
+  user.twoFactor.lastUsedStep = step;
+};
+
+const beginEnrollment = async (userId) => {
+  const user = await loadUser(userId);
+  if (!staffRoles.includes(user.role)) {
+    throw new AppError(
+      'Two-factor authentication is only available for staff accounts',
+      403,
+      httpStatusText.FAIL
+    );
+  }
+  if (user.twoFactor?.enabled) {
+    throw new AppError(
+      'Two-factor authentication is already enabled',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  const secret = totp.generateSecret();
+  if (!user.twoFactor) user.twoFactor = {};
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  return {
+    secret,
+    otpauthUrl: totp.provisioningUri({
+      secret,
+      label: user.email,
+      issuer: twoFactor.issuer,
+    }),
+  };
+};
+
+// Turns 2FA on once the user proves their app produces valid codes.
+// Returns the recovery codes; they are only ever shown this once.
+const confirmEnrollment = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled || !user.twoFactor?.pendingSecret) {
+    throw new AppError(
+      'No two-factor enrollment in progress',
+      400,
+      httpStatusText.FAIL
+    );
+  }
+
+  checkCode(user, user.twoFactor.pendingSecret, code);
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.enabled = true;
+  user.twoFactor.enabledAt = new Date();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+
+  console.log(`[2FA] Enabled for user ${user._id}`);
+  return codes;
+};
+
+// Second login step: a TOTP code or one of the recovery codes.
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled) throw invalidCode();
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) throw invalidCode();
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    console.log(
+      `[2FA] Recovery code used by user ${user._id}, ${user.twoFactor.recoveryCodes.length} left`
+    );
+  } else {
+    checkCode(user, user.twoFactor.secret, code);
+  }
+
+  await user.save();
+  return user;
+};
+
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await verifySecondFactor(userId, { code });
+  const { codes, hashes } = generateRecoveryCodes();
+  user.twoFactor.recoveryCodes = hashes;
+  await user.save();
+  return codes;
+};
+
+const disableTwoFactor = async (userId, code) => {
+  const user = await verifySecondFactor(userId, { code });
+  if (await isRequiredFor(user)) {
+    throw new AppError(
+      'Two-factor authentication is required for staff accounts',
+      403,
+      httpStatusText.FAIL
+    );
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+  console.log(`[2FA] Disabled for user ${user._id}`);
+};
+
+module.exports = {
+  loginRequirement,
+  createChallenge,
+  readChallenge,
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+};
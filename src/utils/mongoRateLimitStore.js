@@ -0,0 +1,62 @@
+const RateLimitHit = require('../models/rateLimitHit.model');
+
+// express-rate-limit store keeping counters in Mongo, so limits hold
+// across processes and restarts.
+class MongoRateLimitStore {
+  constructor({ prefix = 'rl:' } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  async get(key) {
+    const entry = await RateLimitHit.findOne({
+      key: this.prefix + key,
+      resetAt: { $gt: new Date() },
+    }).lean();
+    return entry
+      ? { totalHits: entry.hits, resetTime: entry.resetAt }
+      : undefined;
+  }
+
+  // Counts a hit, starting a new window when the previous one has ended.
+  async increment(key) {
+    const now = new Date();
+    const windowEnded = { $lte: [{ $ifNull: ['$resetAt', now] }, now] };
+    const entry = await RateLimitHit.findOneAndUpdate(
+      { key: this.prefix + key },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowEnded, 1, { $add: ['$hits', 1] }] },
+            resetAt: {
+              $cond: [
+                windowEnded,
+                new Date(now.getTime() + this.windowMs),
+                '$resetAt',
+              ],
+            },
+          },
+        },
+      ],
+      { upsert: true, new: true }
+    ).lean();
+    return { totalHits: entry.hits, resetTime: entry.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimitHit.updateOne(
+      { key: this.prefix + key, hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimitHit.deleteOne({ key: this.prefix + key });
+  }
+}
+
+module.exports = MongoRateLimitStore;
@@ -0,0 +1,196 @@
+const mongoose = require('mongoose');
+const AppError = require('./appError');
+const httpStatusText = require('./httpStatusText');
+
+// Shared pagination for list endpoints. Clients either ask for a `page` or
+// pass back the `nextCursor` of the previous response; cursors point just
+// after the last item seen, so they stay stable while documents are added.
+// Every list answers with the same `meta` envelope (see buildPage).
+
+const MAX_LIMIT = 100;
+
+const invalid = (message) => new AppError(message, 400, httpStatusText.FAIL);
+
+const toPositiveInt = (value) =>
+  /^\d+$/.test(String(value)) && Number(value) > 0 ? Number(value) : null;
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { t: 'date', v: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) {
+    return { t: 'id', v: value.toString() };
+  }
+  return { v: value ?? null };
+};
+
+// The value goes straight into the query, so anything but a plain value
+// (an object would become an operator) is rejected.
+const decodeValue = ({ t, v }) => {
+  if (t === 'date') {
+    const date = new Date(v);
+    if (typeof v !== 'string' || isNaN(date) || date.toISOString() !== v) {
+      throw new Error('Invalid date');
+    }
+    return date;
+  }
+  if (t === 'id') {
+    if (typeof v !== 'string' || !mongoose.isValidObjectId(v)) {
+      throw new Error('Invalid id');
+    }
+    return new mongoose.Types.ObjectId(v);
+  }
+  if (t !== undefined) throw new Error('Invalid type');
+  if (
+    v === null ||
+    typeof v === 'string' ||
+    typeof v === 'boolean' ||
+    Number.isFinite(v)
+  ) {
+    return v;
+  }
+  throw new Error('Invalid value');
+};
+
+const getPath = (item, path) =>
+  path.split('.').reduce((value, key) => value?.[key], item);
+
+const encodeCursor = (item, sort) =>
+  Buffer.from(
+    JSON.stringify({
+      s: `${sort.key}:${sort.order}`,
+      id: item._id.toString(),
+      ...encodeValue(getPath(item, sort.field)),
+    })
+  ).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof decoded.s !== 'string' || typeof decoded.id !== 'string') {
+      throw new Error();
+    }
+    if (!mongoose.isValidObjectId(decoded.id)) throw new Error();
+    return {
+      sort: decoded.s,
+      id: new mongoose.Types.ObjectId(decoded.id),
+      value: decodeValue(decoded),
+    };
+  } catch (error) {
+    throw invalid('Invalid pagination cursor.');
+  }
+};
+
+// Reads `limit`, `page` and `cursor` from the query string.
+const parsePagination = (
+  { limit, page, cursor },
+  { defaultLimit = 10, maxLimit = MAX_LIMIT } = {}
+) => {
+  const parsedLimit = toPositiveInt(limit ?? defaultLimit);
+  const parsedPage = toPositiveInt(page ?? 1);
+  if (parsedLimit === null || parsedPage === null) {
+    throw invalid(
+      "Invalid pagination parameters. 'limit' and 'page' must be positive integers."
+    );
+  }
+  if (parsedLimit > maxLimit) {
+    throw invalid(`'limit' cannot be more than ${maxLimit}.`);
+  }
+  if (cursor && page !== undefined) {
+    throw invalid("Use either 'cursor' or 'page', not both.");
+  }
+
+  return {
+    limit: parsedLimit,
+    page: cursor ? null : parsedPage,
+    cursor: cursor ? decodeCursor(cursor) : null,
+  };
+};
+
+// `fields` maps the sortBy values a list accepts to document paths. Every
+// list takes the direction as `order`.
+const parseSort = (sortBy, order, { fields, defaultKey, defaultOrder }) => {
+  const key = sortBy || defaultKey;
+  if (!fields[key]) {
+    throw invalid(
+      `Invalid sort field. Allowed values: ${Object.keys(fields).join(', ')}`
+    );
+  }
+  const direction = order || defaultOrder;
+  if (!['asc', 'desc'].includes(direction)) {
+    throw invalid("Invalid sort order. Allowed values: 'asc', 'desc'");
+  }
+  return { key, field: fields[key], order: direction === 'asc' ? 1 : -1 };
+};
+
+// Condition selecting the items after the cursor. `_id` breaks ties
+// between items with the same sort value.
+const cursorCondition = (pagination, sort) => {
+  const { cursor } = pagination;
+  if (!cursor) return null;
+  if (cursor.sort !== `${sort.key}:${sort.order}`) {
+    throw invalid('Pagination cursor does not match the requested sort.');
+  }
+
+  const op = sort.order === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [sort.field]: { [op]: cursor.value } },
+      { [sort.field]: cursor.value, _id: { [op]: cursor.id } },
+    ],
+  };
+};
+
+const sortSpec = (sort) => ({ [sort.field]: sort.order, _id: sort.order });
+
+// One more item than asked for is fetched to tell whether there are more.
+const windowOf = (pagination) => ({
+  skip: pagination.page ? (pagination.page - 1) * pagination.limit : 0,
+  limit: pagination.limit + 1,
+});
+
+// Applies the page or cursor to a Mongoose find query.
+const paginateQuery = (query, pagination, sort) => {
+  const condition = cursorCondition(pagination, sort);
+  if (condition) query.and([condition]);
+  const { skip, limit } = windowOf(pagination);
+  return query.sort(sortSpec(sort)).skip(skip).limit(limit);
+};
+
+// The same as aggregation stages. The sort field must exist by this point.
+const paginationStages = (pagination, sort) => {
+  const condition = cursorCondition(pagination, sort);
+  const { skip, limit } = windowOf(pagination);
+  return [
+    ...(condition ? [{ $match: condition }] : []),
+    { $sort: sortSpec(sort) },
+    { $skip: skip },
+    { $limit: limit },
+  ];
+};
+
+// Trims the look-ahead item and builds the `meta` envelope.
+const buildPage = (items, { pagination, sort, total }) => {
+  const hasMore = items.length > pagination.limit;
+  const pageItems = hasMore ? items.slice(0, pagination.limit) : items;
+  const last = pageItems[pageItems.length - 1];
+
+  const meta = {
+    total,
+    limit: pagination.limit,
+    hasMore,
+    nextCursor: hasMore && last ? encodeCursor(last, sort) : null,
+  };
+  if (pagination.page) {
+    meta.page = pagination.page;
+    meta.totalPages = Math.ceil(total / pagination.limit);
+  }
+
+  return { items: pageItems, meta };
+};
+
+module.exports = {
+  parsePagination,
+  parseSort,
+  paginateQuery,
+  paginationStages,
+  buildPage,
+};
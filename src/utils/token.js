@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Opaque tokens handed out by email or to clients. Only their hash is
+// stored, so a leaked database does not leak usable tokens.
+const randomToken = (bytes = 32) => crypto.randomBytes(bytes).toString('hex');
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+module.exports = {
+  randomToken,
+  hashToken,
+};
@@ -0,0 +1,108 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../src/services/tokenRevocation.service', () => ({
+  isRevoked: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../src/models/rolePermission.model', () => ({
+  find: () => ({ lean: async () => [] }),
+}));
+jest.mock('../src/services/audit.service', () => ({
+  recordAudit: jest.fn().mockResolvedValue(),
+}));
+
+const Coupon = require('../src/models/coupon.model');
+const CouponRedemption = require('../src/models/couponRedemption.model');
+const Order = require('../src/models/order.model');
+const couponService = require('../src/services/coupon.service');
+const couponRouter = require('../src/routes/coupon.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/coupons', couponRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('couponService.redeemCoupon', () => {
+  const couponId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+  const session = { id: 'order-transaction' };
+
+  // `ordersSoFar` is what the user's other orders with the coupon add up to
+  // inside the transaction.
+  const stub = ({ coupon = { perUserLimit: 1 }, ordersSoFar = 0 } = {}) => {
+    jest
+      .spyOn(Coupon, 'findOneAndUpdate')
+      .mockReturnValue({ select: async () => coupon });
+    jest
+      .spyOn(CouponRedemption, 'updateOne')
+      .mockResolvedValue({ acknowledged: true });
+    const count = { session: jest.fn(async () => ordersSoFar) };
+    jest.spyOn(Order, 'countDocuments').mockReturnValue(count);
+    return count;
+  };
+
+  it('counts the redemption against the user inside the transaction', async () => {
+    const count = stub();
+
+    await couponService.redeemCoupon(couponId, session, { userId });
+
+    expect(CouponRedemption.updateOne).toHaveBeenCalledWith(
+      { couponId, userId },
+      { $inc: { count: 1 } },
+      { upsert: true, session }
+    );
+    expect(count.session).toHaveBeenCalledWith(session);
+  });
+
+  it('refuses a user who reached the per-user limit meanwhile', async () => {
+    stub({ ordersSoFar: 1 });
+
+    await expect(
+      couponService.redeemCoupon(couponId, session, { userId })
+    ).rejects.toMatchObject({
+      statusCode: 400,
+      message: 'You have already used this coupon',
+    });
+  });
+
+  it('refuses a coupon that reached its global limit', async () => {
+    stub({ coupon: null });
+
+    await expect(
+      couponService.redeemCoupon(couponId, session, { userId })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(CouponRedemption.updateOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /coupons', () => {
+  const token = jwt.sign(
+    { _id: new mongoose.Types.ObjectId().toString(), role: 'ADMIN' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+  it.each([[['SAVE10']], [{ $gt: '' }], [10], ['   ']])(
+    'rejects the code %j with 400',
+    async (code) => {
+      jest.spyOn(Coupon, 'findOne');
+
+      const res = await request(app)
+        .post('/coupons')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ code, type: 'fixed', value: 5 });
+
+      expect(res.status).toBe(400);
+      expect(Coupon.findOne).not.toHaveBeenCalled();
+    }
+  );
+});
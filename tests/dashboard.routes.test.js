@@ -0,0 +1,83 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// Access control is what is under test, so nothing here touches a database:
+// handlers answer straight away, nothing is revoked and every role has its
+// default permissions.
+jest.mock('../src/controllers/dashboard.controller', () => {
+  const respond = (req, res) => res.status(200).json({ status: 'success' });
+  return {
+    getMetrics: respond,
+    getMontlySales: respond,
+    getOrderStatus: respond,
+    getSalesByPeriod: respond,
+    getBestEntities: respond,
+    getPopularSearches: respond,
+  };
+});
+jest.mock('../src/services/tokenRevocation.service', () => ({
+  isRevoked: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../src/models/rolePermission.model', () => ({
+  find: () => ({ lean: async () => [] }),
+}));
+
+const adminRouter = require('../src/routes/admin.routes');
+
+const app = express();
+app.use('/admin/v1', adminRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+const tokenFor = (role) =>
+  jwt.sign(
+    {
+      _id: new mongoose.Types.ObjectId().toString(),
+      email: `${role.toLowerCase()}@example.com`,
+      role,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+const ENDPOINTS = [
+  ['getMetrics', '/admin/v1/dashboard/metrics'],
+  ['getMontlySales', '/admin/v1/dashboard/montlySales'],
+  ['getOrderStatus', '/admin/v1/dashboard/orderStatus'],
+  ['getSalesByPeriod', '/admin/v1/dashboard/salesGrowth'],
+  ['getBestEntities', '/admin/v1/dashboard/featured'],
+];
+
+describe.each(ENDPOINTS)('%s (GET %s)', (handler, path) => {
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get(path);
+    expect(res.status).toBe(401);
+  });
+
+  it('rejects an invalid token', async () => {
+    const res = await request(app)
+      .get(path)
+      .set('Authorization', 'Bearer not-a-token');
+    expect(res.status).toBe(401);
+  });
+
+  it.each(['USER', 'EDITOR', 'SUPPORT'])('rejects %s', async (role) => {
+    const res = await request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${tokenFor(role)}`);
+    expect(res.status).toBe(403);
+  });
+
+  it.each(['ADMIN', 'MANAGER'])('allows %s', async (role) => {
+    const res = await request(app)
+      .get(path)
+      .set('Authorization', `Bearer ${tokenFor(role)}`);
+    expect(res.status).toBe(200);
+  });
+});
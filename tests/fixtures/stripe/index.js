@@ -0,0 +1,24 @@
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const stripe = new Stripe('sk_test_fixtures');
+
+// A fixture event as Stripe would send it: the raw JSON body and a
+// `stripe-signature` header made with `secret`. Signatures carry a
+// timestamp and expire after a few minutes, so they are made on demand.
+// `change` may edit the parsed event first (e.g. to resend it under a
+// new id).
+const signedEvent = (type, secret, change = (event) => event) => {
+  const event = change(
+    JSON.parse(fs.readFileSync(path.join(__dirname, `${type}.json`), 'utf8'))
+  );
+  const payload = JSON.stringify(event);
+  return {
+    event,
+    payload,
+    signature: stripe.webhooks.generateTestHeaderString({ payload, secret }),
+  };
+};
+
+module.exports = { signedEvent };
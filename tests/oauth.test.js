@@ -0,0 +1,158 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+process.env.ACCOUNT_ERASURE_JOB = 'false';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Session = require('../src/models/session.model');
+const User = require('../src/models/user.model');
+const tokenRevocation = require('../src/services/tokenRevocation.service');
+const oauthService = require('../src/services/oauth.service');
+const registrationRouter = require('../src/routes/registration.routes');
+const userRouter = require('../src/routes/user.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/auth', registrationRouter);
+app.use('/users', userRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  email: 'oauth@example.com',
+  username: 'oauth',
+  role: 'USER',
+};
+
+// A session opened by createLoginCode, as redeemLoginCode finds it.
+const pendingSession = (fields = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: user._id,
+  ...fields,
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /auth/oauth/token', () => {
+  beforeEach(() => {
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(Session, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  it('trades a login code for tokens', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(pendingSession());
+
+    const res = await request(app)
+      .post('/auth/oauth/token')
+      .send({ code: 'login-code' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.token).toEqual(expect.any(String));
+    expect(res.body.data.refreshToken).toEqual(expect.any(String));
+  });
+
+  it('trades a code for a 2FA challenge when a second factor is due', async () => {
+    const session = pendingSession({ loginChallenge: 'verify' });
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(session);
+
+    const res = await request(app)
+      .post('/auth/oauth/token')
+      .send({ code: 'login-code' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({
+      twoFactorRequired: true,
+      setupRequired: false,
+      challengeToken: expect.any(String),
+    });
+    expect(res.body.data.token).toBeUndefined();
+    expect(jwt.decode(res.body.data.challengeToken)._id).toBe(String(user._id));
+    expect(Session.deleteOne).toHaveBeenCalledWith({ _id: session._id });
+  });
+
+  it('rejects an unknown or used code', async () => {
+    jest.spyOn(Session, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post('/auth/oauth/token')
+      .send({ code: 'login-code' });
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('POST /users/profile/identities/:provider/link/confirm', () => {
+  const requester = {
+    _id: new mongoose.Types.ObjectId(),
+    email: 'requester@example.com',
+    role: 'USER',
+  };
+  const identity = { subject: 'gh-42', email: 'gh@example.com' };
+  let account;
+
+  const tokenFor = (owner) =>
+    jwt.sign(
+      { _id: String(owner._id), role: owner.role },
+      process.env.JWT_SECRET,
+      { expiresIn: '5m' }
+    );
+
+  const confirm = (owner, linkCode) =>
+    request(app)
+      .post('/users/profile/identities/github/link/confirm')
+      .set('Authorization', `Bearer ${tokenFor(owner)}`)
+      .send({ linkCode });
+
+  beforeEach(() => {
+    account = {
+      ...requester,
+      identities: [],
+      save: jest.fn(async () => account),
+    };
+    jest.spyOn(tokenRevocation, 'isRevoked').mockResolvedValue(false);
+    jest.spyOn(User, 'findById').mockResolvedValue(account);
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+  });
+
+  const linkCodeFor = async (owner) => {
+    const linkToken = oauthService.createLinkToken(owner._id, 'github');
+    const { linkCode } = await oauthService.prepareLink(
+      'github',
+      identity,
+      linkToken
+    );
+    return linkCode;
+  };
+
+  it('links the account for the user who started the link', async () => {
+    const res = await confirm(requester, await linkCodeFor(requester));
+
+    expect(res.status).toBe(200);
+    expect(account.identities).toEqual([
+      { provider: 'github', subject: 'gh-42', email: 'gh@example.com' },
+    ]);
+    expect(account.save).toHaveBeenCalled();
+  });
+
+  it('refuses a link code started by another user', async () => {
+    const victim = { _id: new mongoose.Types.ObjectId(), role: 'USER' };
+
+    const res = await confirm(victim, await linkCodeFor(requester));
+
+    expect(res.status).toBe(403);
+    expect(account.save).not.toHaveBeenCalled();
+  });
+
+  it('does not accept the link token itself as a link code', async () => {
+    const linkToken = oauthService.createLinkToken(requester._id, 'github');
+
+    const res = await confirm(requester, linkToken);
+
+    expect(res.status).toBe(400);
+    expect(account.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test_fixtures';
+
+const express = require('express');
+const request = require('supertest');
+const { signedEvent } = require('./fixtures/stripe');
+
+// Stored events live in memory and keep Stripe's event id unique, like the
+// index on the real collection does.
+jest.mock('../src/models/paymentEvent.model', () => {
+  const records = new Map();
+  return {
+    records,
+    create: jest.fn(async (doc) => {
+      if (records.has(doc.eventId)) {
+        throw Object.assign(new Error('E11000 duplicate key'), {
+          code: 11000,
+        });
+      }
+      const record = { ...doc, status: 'received', save: async () => {} };
+      records.set(doc.eventId, record);
+      return record;
+    }),
+    findOne: jest.fn(async ({ eventId }) => records.get(eventId) || null),
+  };
+});
+jest.mock('../src/models/order.model', () => ({
+  findOneAndUpdate: jest.fn(async (filter, update) => ({
+    _id: 'order-1',
+    orderNumber: 'A1000',
+    transactionId: filter.transactionId,
+    ...update,
+  })),
+}));
+jest.mock('../src/services/refund.service', () => ({
+  syncStripeRefunds: jest.fn(async () => {}),
+}));
+
+const PaymentEvent = require('../src/models/paymentEvent.model');
+const Order = require('../src/models/order.model');
+const refundService = require('../src/services/refund.service');
+const paymentRouter = require('../src/routes/payment.routes');
+
+// Mounted the way index.js does it: the webhook needs the raw body.
+const app = express();
+app.use('/payments/webhook', express.raw({ type: 'application/json' }));
+app.use(express.json());
+app.use('/payments', paymentRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+const deliver = ({ payload, signature }) =>
+  request(app)
+    .post('/payments/webhook')
+    .set('Content-Type', 'application/json')
+    .set('Stripe-Signature', signature)
+    .send(payload);
+
+const sign = (type, change) =>
+  signedEvent(type, process.env.STRIPE_WEBHOOK_SECRET, change);
+
+beforeEach(() => {
+  PaymentEvent.records.clear();
+  jest.clearAllMocks();
+});
+
+describe('POST /payments/webhook', () => {
+  it('marks the order paid on payment_intent.succeeded', async () => {
+    const res = await deliver(sign('payment_intent.succeeded'));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      received: true,
+      duplicate: false,
+      status: 'processed',
+    });
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      { transactionId: 'pi_fixture_0001' },
+      { paymentStatus: 'paid' },
+      { new: true }
+    );
+    expect(PaymentEvent.records.get('evt_fixture_pi_succeeded')).toMatchObject({
+      status: 'processed',
+      paymentIntentId: 'pi_fixture_0001',
+    });
+  });
+
+  it('marks the order failed unless it is already paid', async () => {
+    const res = await deliver(sign('payment_intent.payment_failed'));
+
+    expect(res.status).toBe(200);
+    expect(Order.findOneAndUpdate).toHaveBeenCalledWith(
+      { transactionId: 'pi_fixture_0002', paymentStatus: { $ne: 'paid' } },
+      { paymentStatus: 'failed' },
+      { new: true }
+    );
+  });
+
+  it('records partial and full refunds from charge.refunded', async () => {
+    const partial = sign('charge.refunded');
+    await deliver(partial).expect(200);
+    expect(Order.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { transactionId: 'pi_fixture_0001' },
+      { paymentStatus: 'partially_refunded' },
+      { new: true }
+    );
+    expect(refundService.syncStripeRefunds).toHaveBeenCalledWith(
+      partial.event.data.object
+    );
+
+    const full = sign('charge.refunded', (event) => {
+      event.id = 'evt_fixture_charge_refunded_full';
+      event.data.object.amount_refunded = event.data.object.amount;
+      return event;
+    });
+    await deliver(full).expect(200);
+    expect(Order.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { transactionId: 'pi_fixture_0001' },
+      { paymentStatus: 'refunded' },
+      { new: true }
+    );
+  });
+
+  it('stores and applies a replayed event only once', async () => {
+    const delivery = sign('payment_intent.succeeded');
+
+    const first = await deliver(delivery);
+    const replay = await deliver(delivery);
+
+    expect(first.body.duplicate).toBe(false);
+    expect(replay.status).toBe(200);
+    expect(replay.body).toEqual({
+      received: true,
+      duplicate: true,
+      status: 'processed',
+    });
+    expect(PaymentEvent.records.size).toBe(1);
+    expect(Order.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const delivery = sign('payment_intent.succeeded');
+    const res = await deliver({
+      payload: delivery.payload,
+      signature: signedEvent('payment_intent.succeeded', 'whsec_wrong')
+        .signature,
+    });
+
+    expect(res.status).toBe(400);
+    expect(PaymentEvent.records.size).toBe(0);
+    expect(Order.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,85 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+
+const mongoose = require('mongoose');
+const Order = require('../src/models/order.model');
+const Refund = require('../src/models/refund.model');
+const StoreSettings = require('../src/models/settings/storeSettings.model');
+const refundService = require('../src/services/refund.service');
+
+// An order as stored before refunds existed: no `refundedAmount` and no
+// `refundedQuantity` on its lines.
+const storedOrder = () => ({
+  _id: new mongoose.Types.ObjectId(),
+  userId: new mongoose.Types.ObjectId(),
+  orderNumber: 'A1000',
+  orderItems: [
+    {
+      _id: new mongoose.Types.ObjectId(),
+      id: new mongoose.Types.ObjectId(),
+      name: 'Asgaard sofa',
+      price: 250,
+      quantity: 2,
+      color: { name: 'Brown', hex: '#816DFA' },
+    },
+  ],
+  paymentMethod: 'cod',
+  paymentStatus: 'paid',
+  totalAmount: 500,
+});
+
+// Matches `refundedAmount` the way Mongo does: a missing field equals
+// null, never 0.
+const matchesBalance = (condition, stored) => {
+  const value = stored.refundedAmount ?? null;
+  return condition?.$in ? condition.$in.includes(value) : condition === value;
+};
+
+describe('refundService.createRefund', () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = storedOrder();
+    jest
+      .spyOn(Order, 'findById')
+      .mockImplementation(async () => Order.hydrate(stored));
+    jest
+      .spyOn(Order, 'findOneAndUpdate')
+      .mockImplementation(async (filter, update) => {
+        if (!matchesBalance(filter.refundedAmount, stored)) return null;
+        stored.refundedAmount =
+          (stored.refundedAmount || 0) + update.$inc.refundedAmount;
+        return Order.hydrate(stored);
+      });
+    jest
+      .spyOn(StoreSettings, 'findOne')
+      .mockReturnValue({ lean: async () => null });
+    jest.spyOn(Refund.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(async function () {
+      return this;
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('refunds an order stored without a refunded balance', async () => {
+    const { refund, order } = await refundService.createRefund(stored._id, {
+      amount: 100,
+      reason: 'Damaged on arrival',
+    });
+
+    expect(refund.amount).toBe(100);
+    expect(refund.status).toBe('succeeded');
+    expect(order.refundedAmount).toBe(100);
+    expect(order.paymentStatus).toBe('partially_refunded');
+  });
+
+  it('still refuses a refund racing another one', async () => {
+    Order.findOneAndUpdate.mockResolvedValueOnce(null);
+
+    await expect(
+      refundService.createRefund(stored._id, { amount: 100 })
+    ).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
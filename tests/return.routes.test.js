@@ -0,0 +1,181 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+jest.mock('../src/services/tokenRevocation.service', () => ({
+  isRevoked: jest.fn().mockResolvedValue(false),
+}));
+jest.mock('../src/models/rolePermission.model', () => ({
+  find: () => ({ lean: async () => [] }),
+}));
+// Audit entries are not what is under test here.
+jest.mock(
+  '../src/middlewares/audit.middleware',
+  () => () => (req, res, next) => next()
+);
+
+const Counter = require('../src/models/counter.model');
+const Order = require('../src/models/order.model');
+const ReturnRequest = require('../src/models/returnRequest.model');
+const StoreSettings = require('../src/models/settings/storeSettings.model');
+const inventoryService = require('../src/services/inventory.service');
+const orderRouter = require('../src/routes/order.routes');
+const returnRouter = require('../src/routes/return.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/orders', orderRouter);
+app.use('/returns', returnRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+const userId = new mongoose.Types.ObjectId();
+const tokenFor = (role, _id = new mongoose.Types.ObjectId()) =>
+  jwt.sign({ _id: String(_id), role }, process.env.JWT_SECRET, {
+    expiresIn: '5m',
+  });
+
+const orderItem = (name, price, quantity) => ({
+  _id: new mongoose.Types.ObjectId(),
+  id: new mongoose.Types.ObjectId(),
+  name,
+  price,
+  quantity,
+  color: { name: 'Brown', hex: '#816DFA' },
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('POST /orders/:id/returns', () => {
+  const sofa = orderItem('Asgaard sofa', 250, 1);
+  const order = () =>
+    Order.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      userId,
+      orderNumber: 'A1000',
+      orderItems: [sofa],
+      paymentMethod: 'cod',
+      totalAmount: 250,
+      status: 'Delivered',
+      statusHistory: [{ to: 'Delivered', at: new Date() }],
+    });
+
+  beforeEach(() => {
+    jest.spyOn(Order, 'findOne').mockResolvedValue(order());
+    jest
+      .spyOn(StoreSettings, 'findOne')
+      .mockReturnValue({ lean: async () => null });
+    jest.spyOn(ReturnRequest, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(ReturnRequest, 'create').mockImplementation(async (doc) => doc);
+  });
+
+  const requestReturn = () =>
+    request(app)
+      .post(`/orders/${new mongoose.Types.ObjectId()}/returns`)
+      .set('Authorization', `Bearer ${tokenFor('USER', userId)}`)
+      .send({
+        items: [{ itemId: String(sofa._id), quantity: 1, reason: 'damaged' }],
+      });
+
+  it('numbers the return from the order counter', async () => {
+    jest.spyOn(Counter, 'exists').mockResolvedValue({ _id: 'rma' });
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 4 });
+
+    const res = await requestReturn();
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.returnRequest.rmaNumber).toBe('A1000-R4');
+    expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: expect.stringMatching(/^rma:/) },
+      { $inc: { seq: 1 } },
+      { new: true, upsert: true }
+    );
+  });
+
+  it('starts the counter after returns made before it existed', async () => {
+    jest.spyOn(Counter, 'exists').mockResolvedValue(null);
+    jest.spyOn(ReturnRequest, 'countDocuments').mockResolvedValue(2);
+    jest.spyOn(Counter, 'create').mockResolvedValue({});
+    jest.spyOn(Counter, 'findOneAndUpdate').mockResolvedValue({ seq: 3 });
+
+    const res = await requestReturn();
+
+    expect(res.status).toBe(201);
+    expect(Counter.create).toHaveBeenCalledWith({
+      _id: expect.stringMatching(/^rma:/),
+      seq: 2,
+    });
+    expect(res.body.data.returnRequest.rmaNumber).toBe('A1000-R3');
+  });
+});
+
+describe('PATCH /returns/:id/receive', () => {
+  const sofa = { ...orderItem('Asgaard sofa', 250, 1), reason: 'damaged' };
+  const lamp = { ...orderItem('Bedside lamp', 40, 2), reason: 'damaged' };
+
+  beforeEach(() => {
+    const returnRequest = ReturnRequest.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      rmaNumber: 'A1000-R1',
+      orderId: new mongoose.Types.ObjectId(),
+      userId,
+      status: 'Approved',
+      items: [sofa, lamp].map((item) => ({
+        _id: new mongoose.Types.ObjectId(),
+        orderItemId: item._id,
+        productId: item.id,
+        name: item.name,
+        color: item.color,
+        unitPrice: item.price,
+        quantity: item.quantity,
+        reason: item.reason,
+      })),
+    });
+    jest.spyOn(ReturnRequest, 'findById').mockResolvedValue(returnRequest);
+    jest
+      .spyOn(ReturnRequest.prototype, 'save')
+      .mockImplementation(async function () {
+        return this;
+      });
+    jest.spyOn(mongoose, 'startSession').mockResolvedValue({
+      withTransaction: async (fn) => fn(),
+      endSession: () => {},
+    });
+    jest.spyOn(inventoryService, 'restockItems').mockResolvedValue();
+  });
+
+  const receive = (body) =>
+    request(app)
+      .patch(`/returns/${new mongoose.Types.ObjectId()}/receive`)
+      .set('Authorization', `Bearer ${tokenFor('ADMIN')}`)
+      .send(body);
+
+  it('counts lines left out of the list as not received', async () => {
+    const res = await receive({
+      items: [{ itemId: String(sofa._id), quantity: 1 }],
+    });
+
+    expect(res.status).toBe(200);
+    const { items, refund } = res.body.data.returnRequest;
+    expect(items.map((line) => line.receivedQuantity)).toEqual([1, 0]);
+    expect(refund.amount).toBe(250);
+    expect(inventoryService.restockItems.mock.calls[0][0]).toEqual([
+      expect.objectContaining({ quantity: 1 }),
+      expect.objectContaining({ quantity: 0 }),
+    ]);
+  });
+
+  it('takes every unit as received without a list', async () => {
+    const res = await receive({});
+
+    expect(res.status).toBe(200);
+    const { items, refund } = res.body.data.returnRequest;
+    expect(items.map((line) => line.receivedQuantity)).toEqual([1, 2]);
+    expect(refund.amount).toBe(330);
+  });
+});
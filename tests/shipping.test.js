@@ -0,0 +1,78 @@
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const ShippingMethod = require('../src/models/settings/shippingMethod.model');
+const shippingService = require('../src/services/shipping.service');
+const checkoutRouter = require('../src/routes/checkout.routes');
+
+const app = express();
+app.use('/checkout', checkoutRouter);
+
+const standard = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Standard',
+  cost: 5,
+  countryRates: [{ country: 'Egypt', cost: 3 }],
+  weightTiers: [],
+};
+
+// A query chain that resolves to `result` whatever is selected or sorted.
+const query = (result) => {
+  const chain = {
+    select: jest.fn(() => chain),
+    sort: jest.fn(() => chain),
+    lean: jest.fn(async () => result),
+  };
+  return chain;
+};
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('GET /checkout/shipping-methods', () => {
+  it('lists active methods without a token', async () => {
+    const find = query([standard]);
+    jest.spyOn(ShippingMethod, 'find').mockReturnValue(find);
+
+    const res = await request(app).get('/checkout/shipping-methods');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.shippingMethods).toHaveLength(1);
+    expect(ShippingMethod.find).toHaveBeenCalledWith({
+      deletedAt: null,
+      isActive: true,
+    });
+    expect(find.select).toHaveBeenCalledWith(
+      '_id name cost countryRates weightTiers'
+    );
+  });
+});
+
+describe('shippingService.quoteShipping', () => {
+  const lines = [{ weight: 2, quantity: 1 }];
+
+  it('falls back to the default method when none was picked', async () => {
+    jest.spyOn(ShippingMethod, 'findOne').mockReturnValue(query(standard));
+
+    const shipping = await shippingService.quoteShipping(undefined, {
+      lines,
+      address: { country: 'Egypt' },
+    });
+
+    expect(shipping).toEqual({
+      methodId: standard._id,
+      name: 'Standard',
+      weight: 2,
+      cost: 3,
+    });
+  });
+
+  it('quotes no shipping when the store has no active method', async () => {
+    jest.spyOn(ShippingMethod, 'findOne').mockReturnValue(query(null));
+
+    const shipping = await shippingService.quoteShipping(undefined, { lines });
+
+    expect(shipping).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const RevokedToken = require('../src/models/revokedToken.model');
+const Session = require('../src/models/session.model');
+const User = require('../src/models/user.model');
+const tokenRevocation = require('../src/services/tokenRevocation.service');
+const sessionService = require('../src/services/session.service');
+
+// A decoded access token as issueAccessToken signs it.
+const accessToken = (fields = {}) => ({
+  _id: String(new mongoose.Types.ObjectId()),
+  sid: String(new mongoose.Types.ObjectId()),
+  jti: String(new mongoose.Types.ObjectId()),
+  tv: 0,
+  ...fields,
+});
+
+beforeEach(() => {
+  jest.spyOn(RevokedToken, 'exists').mockResolvedValue(null);
+  jest.spyOn(User, 'findById').mockReturnValue({
+    select: () => ({ lean: async () => ({ tokenVersion: 0 }) }),
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('tokenRevocation.isRevoked', () => {
+  it('accepts a token of a live session', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+
+    expect(await tokenRevocation.isRevoked(accessToken())).toBe(false);
+  });
+
+  it('rejects a token whose session was revoked', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue(null);
+    const decoded = accessToken();
+
+    expect(await tokenRevocation.isRevoked(decoded)).toBe(true);
+    expect(Session.exists).toHaveBeenCalledWith({
+      _id: decoded.sid,
+      revokedAt: null,
+    });
+  });
+
+  it('rejects tokens of a session as soon as it is revoked here', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    const decoded = accessToken();
+    expect(await tokenRevocation.isRevoked(decoded)).toBe(false);
+
+    jest
+      .spyOn(Session, 'findOneAndUpdate')
+      .mockResolvedValue({ _id: decoded.sid });
+    await sessionService.revokeSession(decoded._id, decoded.sid);
+
+    expect(await tokenRevocation.isRevoked(decoded)).toBe(true);
+  });
+
+  it('does the same for sessions revoked all at once', async () => {
+    jest.spyOn(Session, 'exists').mockResolvedValue({ _id: 'session' });
+    const decoded = accessToken();
+    expect(await tokenRevocation.isRevoked(decoded)).toBe(false);
+
+    jest
+      .spyOn(Session, 'find')
+      .mockReturnValue({ distinct: async () => [decoded.sid] });
+    jest.spyOn(Session, 'updateMany').mockResolvedValue({ modifiedCount: 1 });
+    await sessionService.revokeAllSessions(decoded._id);
+
+    expect(await tokenRevocation.isRevoked(decoded)).toBe(true);
+  });
+});
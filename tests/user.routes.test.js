@@ -0,0 +1,79 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.STRIPE_SECRET_KEY = 'sk_test_dummy';
+process.env.ACCOUNT_ERASURE_JOB = 'false';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+// The edited user is a plain customer; every role has its default
+// permissions, no token is revoked and audit entries go nowhere.
+jest.mock('../src/models/user.model', () => ({
+  findById: jest.fn(() => ({
+    select: jest.fn().mockResolvedValue({ role: 'USER' }),
+  })),
+  findOne: jest.fn().mockResolvedValue(null),
+  updateOne: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+}));
+jest.mock('../src/services/tokenRevocation.service', () => ({
+  isRevoked: jest.fn().mockResolvedValue(false),
+  revokeUserTokens: jest.fn().mockResolvedValue(1),
+}));
+jest.mock('../src/models/rolePermission.model', () => ({
+  find: () => ({ lean: async () => [] }),
+}));
+jest.mock('../src/services/audit.service', () => ({
+  recordAudit: jest.fn().mockResolvedValue(),
+}));
+
+const User = require('../src/models/user.model');
+const userRouter = require('../src/routes/user.routes');
+
+const app = express();
+app.use(express.json());
+app.use('/users', userRouter);
+app.use((error, req, res, next) =>
+  res.status(error.statusCode || 500).json({ error: error.message })
+);
+
+const tokenFor = (role) =>
+  jwt.sign(
+    { _id: new mongoose.Types.ObjectId().toString(), role },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+
+const editUser = (role, body) =>
+  request(app)
+    .patch(`/users/${new mongoose.Types.ObjectId()}`)
+    .set('Authorization', `Bearer ${tokenFor(role)}`)
+    .send(body);
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('PATCH /users/:userId', () => {
+  it('does not let a MANAGER grant ADMIN', async () => {
+    const res = await editUser('MANAGER', { role: 'ADMIN' });
+
+    expect(res.status).toBe(403);
+    expect(User.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('lets a MANAGER assign a role within their own permissions', async () => {
+    const res = await editUser('MANAGER', { role: 'EDITOR' });
+
+    expect(res.status).toBe(200);
+    expect(User.updateOne).toHaveBeenCalledWith(
+      expect.anything(),
+      { $set: { role: 'EDITOR' } },
+      { runValidators: true }
+    );
+  });
+
+  it('lets an ADMIN grant ADMIN', async () => {
+    const res = await editUser('ADMIN', { role: 'ADMIN' });
+
+    expect(res.status).toBe(200);
+  });
+});
@@ -0,0 +1,34 @@
+const zlib = require('zlib');
+
+// CRC-32 of the local file header of the first (only) entry.
+const crcOf = (archive) => archive.readUInt32LE(14);
+
+const CHECK_VALUE = 0xcbf43926; // CRC-32 of "123456789"
+
+describe('createZip', () => {
+  it('stores the CRC-32 of each entry', () => {
+    const { createZip } = require('../src/utils/zip');
+
+    const archive = createZip([{ name: 'check.txt', data: '123456789' }]);
+
+    expect(crcOf(archive)).toBe(CHECK_VALUE);
+  });
+
+  it('computes the same CRC-32 where zlib has no crc32', () => {
+    let createZip;
+    jest.isolateModules(() => {
+      jest.doMock('zlib', () => ({ ...zlib, crc32: undefined }));
+      ({ createZip } = require('../src/utils/zip'));
+    });
+
+    const data = Buffer.from('{"orders":[{"orderNumber":"A1000"}]}');
+    const archive = createZip([
+      { name: 'check.txt', data: '123456789' },
+      { name: 'orders.json', data },
+    ]);
+
+    expect(crcOf(archive)).toBe(CHECK_VALUE);
+    const second = 30 + 'check.txt'.length + archive.readUInt32LE(18);
+    expect(archive.readUInt32LE(second + 14)).toBe(zlib.crc32(data));
+  });
+});